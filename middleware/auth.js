@@ -1,31 +1,120 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 
-exports.protect = async (req, res, next) => {
-  let token;
-
+const bearerToken = (req) => {
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
+    return req.headers.authorization.split(' ')[1];
   }
+  return undefined;
+};
 
+// Verify the access token and load the user and session. Unless allowEnrollment
+// is set, users whose role requires two-factor authentication are refused until
+// they have enrolled.
+const authenticate = async (token, req, res, next, { allowEnrollment = false } = {}) => {
   if (!token) {
-    return res.status(401).json({ message: 'Not authorized to access this route' });
+    return next(new UnauthorizedError());
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.id).select('-password');
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return next(error.name === 'TokenExpiredError'
+      ? new UnauthorizedError('Access token has expired', 'TOKEN_EXPIRED')
+      : new UnauthorizedError('Invalid access token', 'INVALID_TOKEN'));
+  }
+
+  try {
+    const user = await User.findById(decoded.id).select('-password');
+
+    // Reject tokens for deleted or unapproved users, or issued before a password change
+    if (!user || user.status === 'pending' || user.changedPasswordAfter(decoded.iat)) {
+      return next(new UnauthorizedError());
+    }
+
+    // Reject tokens belonging to a revoked or expired session
+    if (!decoded.sid) {
+      return next(new UnauthorizedError());
+    }
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive() || session.user.toString() !== user._id.toString()) {
+      return next(new UnauthorizedError('Session has been revoked', 'SESSION_REVOKED'));
+    }
+
+    req.user = user;
+    req.authSession = session;
+    req.tokenExpiresAt = new Date(decoded.exp * 1000);
+
+    if (!allowEnrollment && !user.twoFactor.enabled && (await Role.requiresTwoFactor(user.role))) {
+      return next(new ForbiddenError('Set up two-factor authentication to continue', 'TWO_FACTOR_SETUP_REQUIRED'));
+    }
     next();
   } catch (error) {
-    return res.status(401).json({ message: 'Not authorized to access this route' });
+    next(error);
   }
 };
 
+exports.protect = (req, res, next) => authenticate(bearerToken(req), req, res, next);
+
+// Like protect, but lets users who still have to enroll in two-factor authentication through
+exports.protectEnrollment = (req, res, next) => {
+  return authenticate(bearerToken(req), req, res, next, { allowEnrollment: true });
+};
+
+// Like protect, but also accepts ?access_token= because EventSource cannot send headers
+exports.protectStream = (req, res, next) => {
+  return authenticate(bearerToken(req) || req.query.access_token, req, res, next);
+};
+
 exports.authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ message: `User role ${req.user.role} is not authorized to access this route` });
+      return next(new ForbiddenError(`User role ${req.user.role} is not authorized to access this route`));
     }
     next();
   };
-};
\ No newline at end of file
+};
+
+// Load the permissions of the current user's role once per request
+const loadPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await Role.getPermissions(req.user.role);
+  }
+  return req.permissions;
+};
+
+exports.hasPermission = async (req, permission) => {
+  const permissions = await loadPermissions(req);
+  return permissions.includes(permission);
+};
+
+// Require every listed permission, e.g. requirePermission('tasks:update')
+exports.requirePermission = (...required) => {
+  return async (req, res, next) => {
+    try {
+      const permissions = await loadPermissions(req);
+      const missing = required.filter((permission) => !permissions.includes(permission));
+
+      if (missing.length > 0) {
+        return next(new ForbiddenError(`User role ${req.user.role} is missing permission: ${missing.join(', ')}`, 'MISSING_PERMISSION'));
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Guard scheduler endpoints; Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`
+exports.protectCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return next(new UnauthorizedError());
+  }
+  next();
+};
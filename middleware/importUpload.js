@@ -0,0 +1,37 @@
+const multer = require('multer');
+const path = require('path');
+const { AppError } = require('../utils/errors');
+
+const MAX_IMPORT_SIZE = (Number(process.env.IMPORT_MAX_SIZE_MB) || 5) * 1024 * 1024;
+
+const IMPORT_EXTENSIONS = ['.csv', '.xlsx'];
+
+// Import files are read in memory and never stored, unlike document uploads
+const multerImport = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(new AppError('Import a .csv or .xlsx file', 415, 'UNSUPPORTED_FILE_TYPE'));
+    }
+    cb(null, true);
+  }
+});
+
+// Accept one CSV or XLSX file in the `file` field as req.file.buffer
+const importUpload = (req, res, next) => {
+  multerImport.single('file')(req, res, (error) => {
+    if (!error) {
+      return req.file ? next() : next(new AppError('Please upload a .csv or .xlsx file', 400, 'UPLOAD_ERROR'));
+    }
+
+    if (error instanceof multer.MulterError) {
+      return next(error.code === 'LIMIT_FILE_SIZE'
+        ? new AppError(error.message, 413, 'FILE_TOO_LARGE')
+        : new AppError(error.message, 400, 'UPLOAD_ERROR'));
+    }
+    next(error);
+  });
+};
+
+module.exports = importUpload;
@@ -1,11 +1,167 @@
 const multer = require('multer');
+const path = require('path');
+const { Transform, PassThrough } = require('stream');
+const { getStorage, getDriverName, generateKey } = require('../utils/storage');
+const { SNIFF_LENGTH, inspectUpload } = require('../utils/files');
+const { getScanner } = require('../utils/virusScan');
+const { AppError } = require('../utils/errors');
 
-// Use memory storage for MongoDB storage
-const storage = multer.memoryStorage();
+const MAX_FILE_SIZE = (Number(process.env.MAX_UPLOAD_SIZE_MB) || 10) * 1024 * 1024;
 
-const upload = multer({
-  storage: storage,
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB max file size
+// Raised when an upload is refused because of its type or content
+class UploadRejectedError extends AppError {
+  constructor(message, status = 415, code = 'UNSUPPORTED_FILE_TYPE') {
+    super(message, status, code);
+  }
+}
+
+// Holds back the first bytes of a file until its type has been checked
+const createSniffer = (check) => {
+  const head = [];
+  let length = 0;
+  let checked = false;
+
+  const release = (stream, callback) => {
+    checked = true;
+    const buffer = Buffer.concat(head);
+    try {
+      check(buffer);
+      stream.push(buffer);
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (checked) return callback(null, chunk);
+      head.push(chunk);
+      length += chunk.length;
+      if (length < SNIFF_LENGTH) return callback();
+      release(this, callback);
+    },
+    flush(callback) {
+      if (checked) return callback();
+      release(this, callback);
+    }
+  });
+};
+
+// Multer storage engine that streams each upload straight into the storage driver,
+// checking its content type on the way and optionally virus scanning it
+const streamingStorage = {
+  _handleFile(req, file, cb) {
+    const driver = getDriverName();
+    const storage = getStorage(driver);
+    const key = generateKey(file.originalname);
+    const scanner = getScanner();
+    let size = 0;
+    let detected;
+
+    const sniffer = createSniffer((head) => {
+      const result = inspectUpload({
+        extension: path.extname(file.originalname),
+        head,
+        role: req.user.role
+      });
+      if (result.error) {
+        throw new UploadRejectedError(result.error);
+      }
+      detected = result;
+    });
+
+    // Count bytes on the way through so nothing has to be buffered
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        callback(null, chunk);
+      }
+    });
+
+    // Failures are reported through streamError and storage.put rather than as stream events
+    let streamError = null;
+    file.stream.on('error', (error) => sniffer.destroy(error));
+    sniffer.on('error', (error) => {
+      streamError = error;
+      counter.destroy(error);
+    });
+    counter.on('error', () => {});
+    file.stream.pipe(sniffer).pipe(counter);
+
+    // Feed the scanner a copy of the stream while it is being stored
+    let scanned = Promise.resolve({ result: { infected: false } });
+    if (scanner) {
+      const scanStream = new PassThrough();
+      counter.pipe(scanStream);
+      counter.on('error', (error) => scanStream.destroy(error));
+      scanned = scanner(scanStream).then((result) => ({ result }), (error) => {
+        // Keep draining so a failed scanner doesn't stall the upload
+        scanStream.resume();
+        return { error };
+      });
+    }
+
+    // Resolves with the failure (if any) so both sides always settle
+    const stored = storage.put(key, counter, { contentType: file.mimetype }).then(() => null, (error) => {
+      counter.destroy(error);
+      return error;
+    });
+
+    Promise.all([stored, scanned]).then(async ([storeError, scan]) => {
+      const failure = streamError || storeError;
+
+      if (failure || scan.error || scan.result.infected) {
+        await storage.remove(key).catch(() => {});
+      }
+
+      if (failure) {
+        return cb(failure);
+      }
+      if (scan.error) {
+        console.error('Virus scan error:', scan.error);
+        return cb(new UploadRejectedError('Virus scan unavailable, please try again later', 503, 'VIRUS_SCAN_UNAVAILABLE'));
+      }
+      if (scan.result.infected) {
+        return cb(new UploadRejectedError('File failed virus scan', 422, 'VIRUS_DETECTED'));
+      }
+
+      cb(null, {
+        storageKey: key,
+        storageDriver: driver,
+        size,
+        extension: detected.extension,
+        detectedMimeType: detected.mimeType
+      });
+    });
+  },
+
+  // Called by multer when the request fails after a file was stored
+  _removeFile(req, file, cb) {
+    getStorage(file.storageDriver).remove(file.storageKey).then(() => cb(null), cb);
+  }
+};
+
+const multerUpload = multer({
+  storage: streamingStorage,
+  limits: { fileSize: MAX_FILE_SIZE }
 });
 
-module.exports = upload;
\ No newline at end of file
+// Same interface as multer's single(), but rejected uploads become AppErrors with a 4xx status
+const upload = {
+  single: (fieldName) => (req, res, next) => {
+    multerUpload.single(fieldName)(req, res, (error) => {
+      if (!error) return next();
+
+      if (error instanceof multer.MulterError) {
+        return next(error.code === 'LIMIT_FILE_SIZE'
+          ? new AppError(error.message, 413, 'FILE_TOO_LARGE')
+          : new AppError(error.message, 400, 'UPLOAD_ERROR'));
+      }
+      // UploadRejectedError carries its own status
+      next(error);
+    });
+  }
+};
+
+module.exports = upload;
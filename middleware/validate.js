@@ -0,0 +1,48 @@
+const { ValidationError } = require('../utils/errors');
+const { getStorage } = require('../utils/storage');
+
+const PARTS = ['params', 'query', 'body'];
+
+// Validate and normalize req.params, req.query and req.body against Joi schemas,
+// e.g. validate({ params: idParams, body: createTaskSchema }). Unknown body and
+// query keys are dropped; failures become a ValidationError listing every problem.
+const validate = (schemas) => {
+  return async (req, res, next) => {
+    const details = [];
+
+    for (const part of PARTS) {
+      if (!schemas[part]) continue;
+
+      const { value, error } = schemas[part].validate(req[part] || {}, {
+        abortEarly: false,
+        stripUnknown: part !== 'params',
+        errors: { wrap: { label: false } }
+      });
+
+      if (error) {
+        error.details.forEach((detail) => {
+          details.push({ location: part, field: detail.path.join('.'), message: detail.message });
+        });
+      } else {
+        req[part] = value;
+      }
+    }
+
+    if (details.length === 0) {
+      return next();
+    }
+
+    // A file streamed to storage before the body was checked must not be left behind
+    if (req.file && req.file.storageKey) {
+      try {
+        await getStorage(req.file.storageDriver).remove(req.file.storageKey);
+      } catch (error) {
+        console.error('Failed to discard upload:', error);
+      }
+    }
+
+    next(new ValidationError(details[0].message, details));
+  };
+};
+
+module.exports = validate;
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Append-only record of a change made through the API, or of a sign-in attempt
+const AuditLogSchema = new mongoose.Schema({
+  // Missing for anonymous actions such as a failed login
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Kept so the entry still says who acted after the user is deleted
+  actorEmail: {
+    type: String
+  },
+  actorRole: {
+    type: String
+  },
+  // <entity>.<verb>, e.g. client.update or auth.login_failed
+  action: {
+    type: String,
+    required: true
+  },
+  entityType: {
+    type: String,
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Changed fields as { field: { from, to } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Extra context, e.g. the email used in a failed login
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+// Entries can be added but never changed or removed through the application
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+};
+
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach((operation) => {
+  AuditLogSchema.pre(operation, rejectChange);
+});
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const { isValidPan, isValidGstin, isValidTan } = require('../utils/taxIds');
+
+const ENTITY_TYPES = [
+  'individual',
+  'huf',
+  'proprietorship',
+  'partnership',
+  'llp',
+  'private_limited',
+  'public_limited',
+  'trust',
+  'society',
+  'aop_boi',
+  'government',
+  'other'
+];
+
+const AddressSchema = new mongoose.Schema({
+  line1: String,
+  line2: String,
+  city: String,
+  state: String,
+  postalCode: String,
+  country: {
+    type: String,
+    default: 'India'
+  }
+}, { _id: false });
+
+// A person at the client's business the firm deals with
+const ContactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  designation: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  primary: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// Business details of a client, kept apart from the login account on User
+const ClientProfileSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  companyName: {
+    type: String,
+    trim: true
+  },
+  entityType: {
+    type: String,
+    enum: ENTITY_TYPES
+  },
+  pan: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    validate: { validator: isValidPan, message: 'Invalid PAN' }
+  },
+  gstin: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    validate: { validator: isValidGstin, message: 'Invalid GSTIN' }
+  },
+  tan: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    validate: { validator: isValidTan, message: 'Invalid TAN' }
+  },
+  address: {
+    type: AddressSchema
+  },
+  // Month (1-12) the client's financial year starts; April in India
+  financialYearStartMonth: {
+    type: Number,
+    min: 1,
+    max: 12,
+    default: 4
+  },
+  contacts: [ContactSchema],
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Firm-specific details with no dedicated field, e.g. { "Tally company code": "T-104" }
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ClientProfileSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    this.updatedAt = new Date();
+  }
+  next();
+});
+
+// A PAN or GSTIN identifies one business, so it can belong to one client only
+ClientProfileSchema.index({ pan: 1 }, { unique: true, partialFilterExpression: { pan: { $type: 'string' } } });
+ClientProfileSchema.index({ gstin: 1 }, { unique: true, partialFilterExpression: { gstin: { $type: 'string' } } });
+ClientProfileSchema.index({ tags: 1 });
+ClientProfileSchema.index({ entityType: 1 });
+
+ClientProfileSchema.statics.ENTITY_TYPES = ENTITY_TYPES;
+
+module.exports = mongoose.model('ClientProfile', ClientProfileSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A message in a task's discussion thread
+const CommentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Internal notes are only visible to staff, never to the client
+  internal: {
+    type: Boolean,
+    default: false
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  attachments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  }],
+  editedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CommentSchema.index({ task: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', CommentSchema);
@@ -1,4 +1,46 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
+
+// One uploaded revision of a document's file
+const DocumentVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  storageKey: {
+    type: String
+  },
+  storageDriver: {
+    type: String
+  },
+  size: {
+    type: Number
+  },
+  fileType: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set when this version was created by restoring an earlier one
+  restoredFrom: {
+    type: Number
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const DocumentSchema = new mongoose.Schema({
   name: {
@@ -8,9 +50,21 @@ const DocumentSchema = new mongoose.Schema({
   description: {
     type: String
   },
+  // Location of the file in the storage backend (see utils/storage)
+  storageKey: {
+    type: String
+  },
+  storageDriver: {
+    type: String
+  },
+  size: {
+    type: Number
+  },
+  // Legacy: files uploaded before the storage backend existed were kept inline.
+  // Run `npm run migrate:files` to move them out.
   fileData: {
     type: Buffer,
-    required: true
+    select: false
   },
   fileType: {
     type: String,
@@ -34,10 +88,82 @@ const DocumentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Task'
   },
+  // The document request on the task this file was uploaded for
+  request: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // The top-level file fields always mirror this version
+  currentVersion: {
+    type: Number,
+    default: 1
+  },
+  versions: [DocumentVersionSchema],
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
+// Documents created before versioning have no history; record their file as version 1
+DocumentSchema.methods.ensureVersionHistory = function() {
+  if (this.versions.length > 0) return;
+
+  this.versions.push({
+    version: 1,
+    storageKey: this.storageKey,
+    storageDriver: this.storageDriver,
+    size: this.size,
+    fileType: this.fileType,
+    mimeType: this.mimeType,
+    uploadedBy: this.uploadedBy,
+    createdAt: this.createdAt
+  });
+  this.currentVersion = 1;
+};
+
+DocumentSchema.methods.getVersion = function(version) {
+  return this.versions.find((entry) => entry.version === version);
+};
+
+// Append a new version and make it current
+DocumentSchema.methods.addVersion = function(file) {
+  this.ensureVersionHistory();
+
+  const version = Math.max(...this.versions.map((entry) => entry.version)) + 1;
+  this.versions.push({ ...file, version });
+
+  this.storageKey = file.storageKey;
+  this.storageDriver = file.storageDriver;
+  this.size = file.size;
+  this.fileType = file.fileType;
+  this.mimeType = file.mimeType;
+  this.currentVersion = version;
+  this.updatedAt = new Date();
+
+  return this.getVersion(version);
+};
+
+// Every distinct stored file referenced by this document (restores share keys)
+DocumentSchema.methods.getStoredFiles = function() {
+  const files = new Map();
+  [this, ...this.versions].forEach((entry) => {
+    if (entry.storageKey) {
+      files.set(entry.storageKey, { storageKey: entry.storageKey, storageDriver: entry.storageDriver });
+    }
+  });
+  return [...files.values()];
+};
+
+// Indexes backing the list filters and sorts in routes/documents.js
+DocumentSchema.index({ client: 1, createdAt: -1 });
+DocumentSchema.index({ task: 1 });
+DocumentSchema.index({ uploadedBy: 1, createdAt: -1 });
+DocumentSchema.index({ createdAt: -1 });
+
+DocumentSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Document', DocumentSchema);
\ No newline at end of file
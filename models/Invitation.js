@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long an invite link stays valid
+const getInvitationTtlMs = () => (Number(process.env.INVITATION_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+// An invitation for a client to open their portal account. The account is created
+// when the client accepts and sets a password.
+const InvitationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // At least one of email and phone; the invite link is sent to each of them
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  // Hash of the token in the invite link; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Staff the new client is assigned to once they accept
+  assignedStaff: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  sentAt: {
+    type: Date
+  },
+  acceptedAt: {
+    type: Date
+  },
+  // The client account created on acceptance
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+InvitationSchema.index({ email: 1 });
+InvitationSchema.index({ phone: 1 });
+InvitationSchema.index({ createdAt: -1 });
+
+InvitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Query conditions for each status, for filtering lists
+InvitationSchema.statics.statusFilter = function(status, now = new Date()) {
+  switch (status) {
+    case 'pending':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+    case 'accepted':
+      return { acceptedAt: { $ne: null } };
+    case 'revoked':
+      return { acceptedAt: null, revokedAt: { $ne: null } };
+    case 'expired':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    default:
+      return {};
+  }
+};
+
+// Status of an invitation document or plain (lean) object
+InvitationSchema.statics.statusOf = function(invitation) {
+  if (invitation.acceptedAt) return 'accepted';
+  if (invitation.revokedAt) return 'revoked';
+  if (invitation.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+};
+
+InvitationSchema.methods.getStatus = function() {
+  return this.constructor.statusOf(this);
+};
+
+// Issue a fresh token (invalidating any earlier link) and restart the expiry
+InvitationSchema.methods.createToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.tokenHash = this.constructor.hashToken(token);
+  this.expiresAt = new Date(Date.now() + getInvitationTtlMs());
+  return token;
+};
+
+InvitationSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    ret.status = doc.getStatus();
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Invitation', InvitationSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// In-app notification shown in a user's inbox
+const NotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String
+  },
+  // What the notification is about, so the frontend can link to it
+  entityType: {
+    type: String
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  readAt: {
+    type: Date
+  },
+  // Delivery that created this notification
+  delivery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationDelivery'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+NotificationSchema.index({ user: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, readAt: 1 });
+NotificationSchema.index({ delivery: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
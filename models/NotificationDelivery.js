@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// One message to one recipient over one channel; doubles as the send queue and delivery log
+const NotificationDeliverySchema = new mongoose.Schema({
+  event: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['whatsapp', 'email', 'inApp'],
+    required: true
+  },
+  // Empty for people without an account yet, e.g. invited clients
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Phone number or email address at the time of sending
+  destination: {
+    type: String
+  },
+  subject: {
+    type: String
+  },
+  body: {
+    type: String
+  },
+  // A message carrying a secret, like an invite link, is stored with the secret redacted
+  // in subject and body; the real message is kept here encrypted until it is sent or
+  // given up, and is never returned by the delivery log
+  sealedMessage: {
+    type: String,
+    select: false
+  },
+  entityType: {
+    type: String
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date
+  },
+  sentAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+NotificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+NotificationDeliverySchema.index({ recipient: 1, createdAt: -1 });
+NotificationDeliverySchema.index({ event: 1, createdAt: -1 });
+
+module.exports = mongoose.model('NotificationDelivery', NotificationDeliverySchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Admin-edited message template; overrides the defaults in utils/notifications/templates.js
+const NotificationTemplateSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    required: true
+  },
+  // A specific channel, or '*' for every channel without its own template
+  channel: {
+    type: String,
+    enum: ['*', 'whatsapp', 'email', 'inApp'],
+    default: '*'
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+NotificationTemplateSchema.index({ event: 1, channel: 1 }, { unique: true });
+
+module.exports = mongoose.model('NotificationTemplate', NotificationTemplateSchema);
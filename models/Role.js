@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, SUPER_ROLE, DEFAULT_ROLES } = require('../utils/permissions');
+
+const CACHE_TTL_MS = 30 * 1000;
+
+const RoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z][a-z0-9_-]*$/
+  },
+  description: {
+    type: String
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
+  // Members must enroll in two-factor authentication before using the API
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Short-lived in-process cache so every request doesn't hit the roles collection
+let cache = { roles: null, loadedAt: 0 };
+
+RoleSchema.statics.clearCache = function() {
+  cache = { roles: null, loadedAt: 0 };
+};
+
+// All roles: built-in defaults overlaid with whatever is stored in the database
+RoleSchema.statics.getAll = async function() {
+  if (cache.roles && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.roles;
+  }
+
+  const roles = {};
+  Object.entries(DEFAULT_ROLES).forEach(([name, role]) => {
+    roles[name] = {
+      name,
+      description: role.description,
+      permissions: [...role.permissions],
+      requireTwoFactor: false,
+      builtIn: true
+    };
+  });
+
+  const stored = await this.find().lean();
+  stored.forEach((role) => {
+    roles[role.name] = {
+      name: role.name,
+      description: role.description,
+      permissions: role.permissions,
+      requireTwoFactor: Boolean(role.requireTwoFactor),
+      builtIn: Boolean(DEFAULT_ROLES[role.name])
+    };
+  });
+
+  // The super role cannot lose permissions
+  roles[SUPER_ROLE].permissions = [...PERMISSIONS];
+
+  cache = { roles, loadedAt: Date.now() };
+  return roles;
+};
+
+RoleSchema.statics.isDefined = async function(name) {
+  const roles = await this.getAll();
+  return Boolean(roles[name]);
+};
+
+RoleSchema.statics.getPermissions = async function(name) {
+  const roles = await this.getAll();
+  return roles[name] ? roles[name].permissions : [];
+};
+
+RoleSchema.statics.requiresTwoFactor = async function(name) {
+  const roles = await this.getAll();
+  return Boolean(roles[name] && roles[name].requireTwoFactor);
+};
+
+RoleSchema.post('save', function() {
+  this.constructor.clearCache();
+});
+
+module.exports = mongoose.model('Role', RoleSchema);
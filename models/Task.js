@@ -1,4 +1,137 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
+const { INITIAL_STATUS } = require('../utils/workflow');
+
+// Rule for repeating compliance work (GST monthly, TDS quarterly, audits yearly, ...)
+const RecurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['monthly', 'quarterly', 'yearly', 'custom'],
+    required: true
+  },
+  // Day of the month the deadline falls on (monthly/quarterly/yearly)
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  // iCalendar RRULE for custom schedules, e.g. FREQ=WEEKLY;BYDAY=MO
+  rrule: {
+    type: String
+  },
+  // Deadline of the first occurrence, used as the RRULE start
+  startDate: {
+    type: Date
+  },
+  until: {
+    type: Date
+  },
+  count: {
+    type: Number
+  },
+  // Set when the series is ended; no further occurrences are generated
+  endedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+// One status change, kept for the task's history
+const StatusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String
+  }
+}, { _id: false });
+
+const ChecklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  doneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  doneAt: {
+    type: Date
+  }
+});
+
+const DOCUMENT_REQUEST_STATUSES = ['outstanding', 'received', 'accepted', 'rejected'];
+
+// A file the firm has asked the client for, e.g. "Form 16 for FY 2024-25".
+// Clients upload against it with POST /api/documents and requestId.
+const DocumentRequestSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  dueDate: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: DOCUMENT_REQUEST_STATUSES,
+    default: 'outstanding'
+  },
+  // Uploads made against this request, oldest first
+  documents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  }],
+  receivedAt: {
+    type: Date
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Reminders already sent, by days-before-due offset (0 once overdue)
+  remindersSent: [{
+    _id: false,
+    offsetDays: Number,
+    sentAt: Date
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const TaskSchema = new mongoose.Schema({
   title: {
@@ -14,11 +147,24 @@ const TaskSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // One of the statuses of the workflow in utils/workflow.js (or the admin's own)
   status: {
     type: String,
-    enum: ['pending', 'in_progress', 'completed'],
-    default: 'pending'
+    default: INITIAL_STATUS
+  },
+  statusHistory: [StatusChangeSchema],
+  // Staff member responsible for the work, not necessarily its creator
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  priority: {
+    type: String,
+    enum: PRIORITIES,
+    default: 'normal'
   },
+  checklist: [ChecklistItemSchema],
+  documentRequests: [DocumentRequestSchema],
   deadline: {
     type: Date,
     required: true
@@ -27,10 +173,77 @@ const TaskSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  recurrence: {
+    type: RecurrenceSchema
+  },
+  // All occurrences of a recurring task share the id of the first one
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  occurrence: {
+    type: Number
+  },
+  // Deadline reminders already sent, by days-before-deadline offset
+  remindersSent: [{
+    _id: false,
+    offsetDays: Number,
+    sentAt: Date
+  }],
+  // Set by the reminder scheduler once the deadline passes without completion
+  overdue: {
+    type: Boolean,
+    default: false
+  },
+  overdueSince: {
+    type: Date
+  },
+  escalatedAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// A new deadline starts the reminder schedule over
+TaskSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('deadline')) {
+    this.remindersSent = [];
+    this.overdue = false;
+    this.overdueSince = undefined;
+    this.escalatedAt = undefined;
+  }
+  next();
+});
+
+// Move the task to another status and record the change in its history.
+// Whether the change is allowed is checked by the caller against the workflow.
+TaskSchema.methods.changeStatus = function(status, user, note) {
+  this.statusHistory.push({ from: this.status, to: status, changedBy: user && user._id, note });
+  this.status = status;
+};
+
+// Indexes backing the list filters and sorts in routes/tasks.js
+TaskSchema.index({ client: 1, createdAt: -1 });
+TaskSchema.index({ client: 1, status: 1, deadline: 1 });
+TaskSchema.index({ status: 1, deadline: 1 });
+TaskSchema.index({ assignee: 1, status: 1, deadline: 1 });
+TaskSchema.index({ createdAt: -1 });
+TaskSchema.index({ overdue: 1, escalatedAt: 1, overdueSince: 1 });
+TaskSchema.index({ 'documentRequests._id': 1 });
+TaskSchema.index({ 'documentRequests.status': 1, 'documentRequests.dueDate': 1 });
+
+// One task per occurrence of a series, so generation is idempotent
+TaskSchema.index(
+  { seriesId: 1, occurrence: 1 },
+  { unique: true, partialFilterExpression: { seriesId: { $exists: true } } }
+);
+
+TaskSchema.plugin(softDelete);
+
+TaskSchema.statics.PRIORITIES = PRIORITIES;
+TaskSchema.statics.DOCUMENT_REQUEST_STATUSES = DOCUMENT_REQUEST_STATUSES;
+
 module.exports = mongoose.model('Task', TaskSchema);
\ No newline at end of file
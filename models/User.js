@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs'); // Changed from bcrypt to bcryptjs
+const crypto = require('crypto');
+const softDelete = require('../utils/softDelete');
+const { checkPassword } = require('../utils/passwordPolicy');
+const { verifyCode, decryptSecret, hashBackupCode } = require('../utils/totp');
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Failed sign-ins allowed before the account is locked, and for how long
+const getMaxFailedLogins = () => Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const getLockoutMs = () => (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -9,21 +19,119 @@ const UserSchema = new mongoose.Schema({
   email: {
     type: String,
     required: true,
-    unique: true
+    unique: true,
+    trim: true,
+    lowercase: true
   },
+  // Checked against the password policy while still plain text; validation runs
+  // before the pre-save hook hashes it. A stored password is already a hash, and
+  // required paths are validated on every save, so only a new password is checked.
   password: {
     type: String,
-    required: true
+    required: true,
+    validate: {
+      validator: function(value) {
+        if (!this.isModified('password') || this.$locals.passwordHashed) return true;
+        const problems = checkPassword(value, { email: this.email, name: this.name });
+        if (problems.length > 0) {
+          throw new Error(problems.join('; '));
+        }
+        return true;
+      },
+      message: (props) => (props.reason ? props.reason.message : 'Password is too weak')
+    }
   },
   phone: {
     type: String,
     required: true
   },
+  // Name of a role defined in utils/permissions.js or the roles collection
   role: {
     type: String,
-    enum: ['admin', 'client'],
     default: 'client'
   },
+  // Self-registered clients stay 'pending' until an admin approves them
+  // (REGISTRATION_MODE=approval); pending accounts cannot sign in
+  status: {
+    type: String,
+    enum: ['active', 'pending'],
+    default: 'active'
+  },
+  // Staff members responsible for this client (client accounts only)
+  assignedStaff: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  }],
+  // Channels this user receives notifications on, and events they opted out of
+  notificationPreferences: {
+    whatsapp: {
+      type: Boolean,
+      default: true
+    },
+    email: {
+      type: Boolean,
+      default: false
+    },
+    inApp: {
+      type: Boolean,
+      default: true
+    },
+    optOut: [{
+      type: String
+    }]
+  },
+  // Tokens issued before this moment are no longer accepted
+  passwordChangedAt: {
+    type: Date
+  },
+  // Consecutive failed sign-ins, and the time a lockout ends
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  // TOTP two-factor authentication. The secret is stored encrypted and the
+  // backup codes hashed; pendingSecret holds a secret until enrollment is confirmed.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Last time step accepted, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
+  },
+  // Password reset tokens are stored hashed and never returned by default
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpires: {
+    type: Date,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -32,20 +140,139 @@ const UserSchema = new mongoose.Schema({
 
 // Hash password before saving
 UserSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || this.$locals.passwordHashed) return next();
   
   try {
-    const salt = await bcrypt.genSalt(10);
-    this.password = await bcrypt.hash(this.password, salt);
+    this.password = await this.constructor.hashPassword(this.password);
+    if (!this.isNew) {
+      // Backdate slightly so a token issued right after the change stays valid
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+      this.$locals.passwordChanged = true;
+    }
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Sign out every device once the password has changed
+UserSchema.post('save', async function() {
+  if (!this.$locals.passwordChanged) return;
+  this.$locals.passwordChanged = false;
+  await mongoose.model('Session').revokeAllForUser(this._id);
+});
+
 // Method to compare passwords
 UserSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check whether the password changed after a token was issued (iat in seconds)
+UserSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return this.passwordChangedAt.getTime() > tokenIssuedAt * 1000;
+};
+
+// Hash a password as the pre-save hook does. Users inserted in bulk skip the hook, so
+// they are given a hashed password and flagged with $locals.passwordHashed.
+UserSchema.statics.hashPassword = async function(password) {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+// Case-insensitive lookup, so accounts saved before emails were normalized still match
+UserSchema.statics.findByEmail = function(email) {
+  return this.findOne({ email }).collation({ locale: 'en', strength: 2 });
+};
+
+// Hash a raw reset token the same way it is stored
+UserSchema.statics.hashResetToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a single-use reset token; only the hash is kept on the user
+UserSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = this.constructor.hashResetToken(token);
+  this.resetPasswordExpires = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+  return token;
+};
+
+// Whether sign-ins are currently refused (lockUntil must be selected)
+UserSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
+// Count a failed sign-in, locking the account once the limit is reached.
+// Returns the lockout end, or null while the account is still open.
+UserSchema.methods.registerFailedLogin = async function() {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: { failedLoginAttempts: 1 } }
+  );
+  if (!updated || updated.failedLoginAttempts < getMaxFailedLogins()) {
+    return null;
+  }
+
+  const lockUntil = new Date(Date.now() + getLockoutMs());
+  await this.constructor.updateOne({ _id: this._id }, { $set: { lockUntil, failedLoginAttempts: 0 } });
+  this.lockUntil = lockUntil;
+  return lockUntil;
+};
+
+// Clear failed attempts and any lockout after a successful sign-in or password reset
+UserSchema.methods.clearFailedLogins = async function() {
+  await this.constructor.updateOne(
+    { _id: this._id, $or: [{ failedLoginAttempts: { $gt: 0 } }, { lockUntil: { $ne: null } }] },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+  );
+  this.lockUntil = undefined;
+};
+
+// Check a second factor: a TOTP code or an unused backup code, which is used up.
+// Needs +twoFactor.secret and +twoFactor.lastUsedStep selected. Returns the method
+// used ('totp' or 'backup_code'), or null.
+UserSchema.methods.verifySecondFactor = async function(code) {
+  const secret = this.twoFactor.secret && decryptSecret(this.twoFactor.secret);
+  const lastUsedStep = this.twoFactor.lastUsedStep === undefined ? -1 : this.twoFactor.lastUsedStep;
+  const step = secret ? verifyCode(secret, code, { afterStep: lastUsedStep }) : null;
+
+  // Conditional updates so concurrent requests can't both use the same code
+  if (step !== null) {
+    const result = await this.constructor.updateOne(
+      { _id: this._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.backupCodes': hashBackupCode(code) },
+    { $pull: { 'twoFactor.backupCodes': hashBackupCode(code) } }
+  );
+  return result.modifiedCount === 1 ? 'backup_code' : null;
+};
+
+// Turn two-factor authentication off and forget the secret and backup codes
+UserSchema.methods.disableTwoFactor = async function() {
+  await this.constructor.updateOne({ _id: this._id }, {
+    $set: { 'twoFactor.enabled': false },
+    $unset: {
+      'twoFactor.enabledAt': 1,
+      'twoFactor.secret': 1,
+      'twoFactor.pendingSecret': 1,
+      'twoFactor.backupCodes': 1,
+      'twoFactor.lastUsedStep': 1
+    }
+  });
+  this.twoFactor.enabled = false;
+};
+
+// Indexes backing the client list in routes/clients.js
+UserSchema.index({ role: 1, name: 1 });
+UserSchema.index({ role: 1, createdAt: -1 });
+
+UserSchema.plugin(softDelete);
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { DEFAULT_WORKFLOW } = require('../utils/workflow');
+
+const CACHE_TTL_MS = 30 * 1000;
+
+// Admin-defined task workflow; replaces DEFAULT_WORKFLOW in utils/workflow.js.
+// There is at most one document.
+const WorkflowSchema = new mongoose.Schema({
+  statuses: [{
+    _id: false,
+    key: {
+      type: String,
+      required: true,
+      match: /^[a-z][a-z0-9_]*$/
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true
+    }
+  }],
+  transitions: [{
+    _id: false,
+    from: {
+      type: String,
+      required: true
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    // Roles that may make this transition; empty means every staff role
+    roles: [String]
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+let cache = { workflow: null, loadedAt: 0 };
+
+WorkflowSchema.statics.clearCache = function() {
+  cache = { workflow: null, loadedAt: 0 };
+};
+
+// The workflow in force: the stored one, or the built-in default
+WorkflowSchema.statics.getWorkflow = async function() {
+  if (cache.workflow && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.workflow;
+  }
+
+  const stored = await this.findOne().lean();
+  const workflow = stored
+    ? { statuses: stored.statuses, transitions: stored.transitions, builtIn: false, updatedAt: stored.updatedAt }
+    : { ...DEFAULT_WORKFLOW, builtIn: true };
+
+  cache = { workflow, loadedAt: Date.now() };
+  return workflow;
+};
+
+WorkflowSchema.post('save', function() {
+  this.constructor.clearCache();
+});
+
+module.exports = mongoose.model('Workflow', WorkflowSchema);
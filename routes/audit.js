@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const { protect, requirePermission } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { parseListQuery, findList, sendList } = require('../utils/query');
+const { idParams, listQuerySchema } = require('../utils/validation');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Filters, search and sort options accepted by GET /api/audit
+const AUDIT_LIST_OPTIONS = {
+  filters: {
+    entityType: { field: 'entityType', type: 'string' },
+    entityId: { field: 'entityId', type: 'objectId' },
+    actor: { field: 'actor', type: 'objectId' },
+    action: { field: 'action', type: 'string' },
+    created: { field: 'createdAt', type: 'dateRange' }
+  },
+  search: ['actorEmail', 'action', 'ip'],
+  sort: ['createdAt', 'action', 'entityType']
+};
+
+// @route   GET /api/audit
+// @desc    Get audit log entries, newest first
+//          Query: entityType, entityId, actor, action, createdFrom/To, search, sort, page/limit or cursor
+// @access  Private/Admin
+router.get('/', protect, requirePermission('audit:read'), validate({ query: listQuerySchema(AUDIT_LIST_OPTIONS) }), async (req, res, next) => {
+  try {
+    const listQuery = parseListQuery(req.query, AUDIT_LIST_OPTIONS);
+    if (listQuery.error) {
+      return next(new ValidationError(listQuery.error));
+    }
+
+    const result = await findList(AuditLog, {}, listQuery, (query) => {
+      return query.populate('actor', 'name email role');
+    });
+
+    sendList(res, result, listQuery);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/audit/:id
+// @desc    Get a single audit log entry
+// @access  Private/Admin
+router.get('/:id', protect, requirePermission('audit:read'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const entry = await AuditLog.findById(req.params.id).populate('actor', 'name email role');
+
+    if (!entry) {
+      return next(new NotFoundError('Audit entry not found'));
+    }
+
+    res.json(entry);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
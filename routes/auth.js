@@ -1,25 +1,222 @@
 const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const Invitation = require('../models/Invitation');
+const { protect, protectEnrollment } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { sendMail } = require('../utils/mailer');
+const { notifyInBackground } = require('../utils/notifications');
+const { SUPER_ROLE } = require('../utils/permissions');
+const { getRegistrationMode } = require('../utils/registration');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { rateLimit } = require('../utils/rateLimit');
+const { parseListQuery, findList, sendList } = require('../utils/query');
+const { Joi, objectId, email, newPassword, phone, name, listQuerySchema } = require('../utils/validation');
+const {
+  ValidationError,
+  ConflictError,
+  UnauthorizedError,
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  LockedError
+} = require('../utils/errors');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const LOGIN_RATE_LIMIT_WINDOW_MS = (Number(process.env.LOGIN_RATE_LIMIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// Sign-in attempts are limited per address and per account; the account limit
+// slows down guessing spread over many addresses
+const loginIpLimit = rateLimit({
+  name: 'login-ip',
+  windowMs: LOGIN_RATE_LIMIT_WINDOW_MS,
+  max: Number(process.env.LOGIN_RATE_LIMIT_PER_IP) || 20,
+  message: 'Too many sign-in attempts from this address, please try again later'
+});
+
+const loginAccountLimit = rateLimit({
+  name: 'login-account',
+  windowMs: LOGIN_RATE_LIMIT_WINDOW_MS,
+  max: Number(process.env.LOGIN_RATE_LIMIT_PER_ACCOUNT) || 10,
+  key: (req) => req.body.email,
+  message: 'Too many sign-in attempts for this account, please try again later'
+});
+
+// Second-step codes are limited per account too; the challenge is only decoded here,
+// it is verified in the route
+const twoFactorAccountLimit = rateLimit({
+  name: 'login-2fa',
+  windowMs: LOGIN_RATE_LIMIT_WINDOW_MS,
+  max: Number(process.env.LOGIN_RATE_LIMIT_PER_ACCOUNT) || 10,
+  key: (req) => {
+    const payload = jwt.decode(req.body.challengeToken);
+    return payload && payload.id;
+  },
+  message: 'Too many sign-in attempts for this account, please try again later'
+});
+
+// Registration and reset emails share a per-address limit
+const accountIpLimit = rateLimit({
+  name: 'account-ip',
+  windowMs: LOGIN_RATE_LIMIT_WINDOW_MS,
+  max: Number(process.env.LOGIN_RATE_LIMIT_PER_IP) || 20
+});
+
+const LOGIN_HISTORY_ACTIONS = ['auth.login', 'auth.login_failed', 'auth.account_locked'];
+
+// Filters and sort options accepted by GET /api/auth/login-history
+const LOGIN_HISTORY_LIST_OPTIONS = {
+  filters: {
+    created: { field: 'createdAt', type: 'dateRange' }
+  },
+  sort: ['createdAt']
+};
+
+const registerSchema = Joi.object({
+  name: name().required(),
+  email: email().required(),
+  password: newPassword().required(),
+  phone: phone().required()
+});
+
+const loginSchema = Joi.object({
+  email: email().required(),
+  password: Joi.string().max(128).required()
+});
+
+const invitationTokenParams = Joi.object({ token: Joi.string().hex().length(64).required() });
+
+// Email and phone are only needed when the invitation didn't include them
+const acceptInvitationSchema = Joi.object({
+  password: newPassword().required(),
+  email: email(),
+  phone: phone()
+});
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().max(1000).required(),
+  code: Joi.string().trim().max(20).required()
+});
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().max(200).required()
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: email().required()
+});
+
+const resetPasswordSchema = {
+  params: Joi.object({ token: Joi.string().hex().length(64).required() }),
+  body: Joi.object({ password: newPassword().required() })
+};
+
+// Generate short-lived JWT access token bound to a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+// Refresh tokens have the form <sessionId>.<secret>; only the secret's hash is stored
+const formatRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const generateRefreshSecret = () => crypto.randomBytes(40).toString('hex');
+
+// Start a new device session and return its access and refresh tokens
+const issueTokens = async (user, req) => {
+  const secret = generateRefreshSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: Session.hashToken(secret),
+    userAgent: req.headers['user-agent'],
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken: formatRefreshToken(session._id, secret)
+  };
 };
 
+// Short-lived token proving the password was right, exchanged for a session
+// together with a second factor at POST /api/auth/login/2fa. It has no session
+// id, so protect() never accepts it as an access token.
+const generateChallengeToken = (user) => {
+  return jwt.sign({ id: user._id, purpose: 'login-2fa' }, process.env.JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL });
+};
+
+// Start a session for a fully authenticated user and send the login response
+const completeLogin = async (req, res, user, metadata) => {
+  await user.clearFailedLogins();
+  const tokens = await issueTokens(user, req);
+  await recordAudit(req, { action: 'auth.login', entityType: 'User', entityId: user._id, actor: user, metadata });
+
+  res.json({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    role: user.role,
+    // The client should send the user to two-factor enrollment before anything else
+    twoFactorSetupRequired: !user.twoFactor.enabled && (await Role.requiresTwoFactor(user.role)),
+    ...tokens
+  });
+};
+
+// Refuse a sign-in to a locked account, telling the client when to retry
+const lockedError = (res, lockUntil) => {
+  const seconds = Math.max(Math.ceil((lockUntil.getTime() - Date.now()) / 1000), 1);
+  res.setHeader('Retry-After', seconds);
+  return new LockedError(`Too many failed sign-ins. Try again in ${Math.ceil(seconds / 60)} minute(s)`);
+};
+
+// Load a pending invitation by the token from its link, or throw a 404
+const findPendingInvitation = async (token) => {
+  const invitation = await Invitation.findOne({
+    tokenHash: Invitation.hashToken(token),
+    ...Invitation.statusFilter('pending')
+  });
+  if (!invitation) {
+    throw new NotFoundError('Invitation is invalid or has expired', 'INVALID_INVITATION');
+  }
+  return invitation;
+};
+
+// @route   GET /api/auth/registration
+// @desc    How clients can get an account (open, approval, invite_only or off)
+// @access  Public
+router.get('/registration', (req, res) => {
+  res.json({ mode: getRegistrationMode() });
+});
+
 // @route   POST /api/auth/register
-// @desc    Register a new client
+// @desc    Register a new client. With REGISTRATION_MODE=approval the account waits for an
+//          admin (202, no tokens); invite_only and off refuse self-registration.
 // @access  Public
-router.post('/register', async (req, res) => {
+router.post('/register', accountIpLimit, validate({ body: registerSchema }), async (req, res, next) => {
   try {
     const { name, email, password, phone } = req.body;
+    const mode = getRegistrationMode();
+
+    if (mode === 'off') {
+      return next(new ForbiddenError('Registration is closed', 'REGISTRATION_CLOSED'));
+    }
+    if (mode === 'invite_only') {
+      return next(new ForbiddenError('Registration is by invitation only', 'INVITATION_REQUIRED'));
+    }
 
-    // Check if user already exists
-    const userExists = await User.findOne({ email });
+    // Check if user already exists; accounts in the trash still hold their email address
+    const userExists = await User.findByEmail(email).setOptions({ withDeleted: true });
     if (userExists) {
-      return res.status(400).json({ message: 'User already exists' });
+      return next(new ConflictError('User already exists', 'EMAIL_IN_USE'));
     }
 
     // Create new user (client role by default)
@@ -28,90 +225,501 @@ router.post('/register', async (req, res) => {
       email,
       password,
       phone,
-      role: 'client'
+      role: 'client',
+      status: mode === 'approval' ? 'pending' : 'active'
     });
 
     if (user) {
+      await recordAudit(req, { action: 'auth.register', entityType: 'User', entityId: user._id, after: snapshot(user), actor: user });
+
+      if (user.status === 'pending') {
+        notifyInBackground('client.registration_pending', await User.find({ role: SUPER_ROLE }), {
+          name: user.name,
+          email: user.email
+        }, { type: 'User', id: user._id });
+        return res.status(202).json({
+          message: 'Registration received. You can sign in once it has been approved.',
+          status: user.status
+        });
+      }
+
+      const tokens = await issueTokens(user, req);
       res.status(201).json({
         _id: user._id,
         name: user.name,
         email: user.email,
         phone: user.phone,
         role: user.role,
-        token: generateToken(user._id)
+        ...tokens
       });
     }
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   POST /api/auth/login
-// @desc    Authenticate user & get token
+// @desc    Authenticate user & get token. With two-factor authentication enabled the response
+//          is { twoFactorRequired, challengeToken } instead; finish at POST /api/auth/login/2fa.
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', loginIpLimit, validate({ body: loginSchema }), loginAccountLimit, async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
     // Check for user email
-    const user = await User.findOne({ email });
+    const user = await User.findByEmail(email).select('+failedLoginAttempts +lockUntil');
     if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+      await recordAudit(req, { action: 'auth.login_failed', entityType: 'User', metadata: { email, reason: 'unknown_email' } });
+      return next(new UnauthorizedError('Invalid credentials', 'INVALID_CREDENTIALS'));
+    }
+
+    // A locked account is refused before the password is checked, so guessing can't continue
+    if (user.isLocked()) {
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        entityType: 'User',
+        entityId: user._id,
+        metadata: { email, reason: 'locked' }
+      });
+      return next(lockedError(res, user.lockUntil));
     }
 
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        entityType: 'User',
+        entityId: user._id,
+        metadata: { email, reason: 'wrong_password' }
+      });
+
+      const lockUntil = await user.registerFailedLogin();
+      if (lockUntil) {
+        await recordAudit(req, {
+          action: 'auth.account_locked',
+          entityType: 'User',
+          entityId: user._id,
+          metadata: { email, lockUntil }
+        });
+        return next(lockedError(res, lockUntil));
+      }
+      return next(new UnauthorizedError('Invalid credentials', 'INVALID_CREDENTIALS'));
+    }
+
+    await loginAccountLimit.reset(req);
+
+    if (user.status === 'pending') {
+      return next(new ForbiddenError('Your registration is waiting for approval', 'ACCOUNT_PENDING_APPROVAL'));
+    }
+
+    // Failed attempts are only cleared once the second factor has been checked too
+    if (user.twoFactor.enabled) {
+      return res.json({ twoFactorRequired: true, challengeToken: generateChallengeToken(user) });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Second sign-in step: exchange the challenge token and a TOTP or backup code for tokens
+// @access  Public
+router.post('/login/2fa', loginIpLimit, validate({ body: twoFactorLoginSchema }), twoFactorAccountLimit, async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let payload;
+    try {
+      payload = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      payload = null;
+    }
+    if (!payload || payload.purpose !== 'login-2fa') {
+      return next(new UnauthorizedError('Sign-in has expired, please start again', 'INVALID_CHALLENGE'));
+    }
+
+    const user = await User.findById(payload.id)
+      .select('+failedLoginAttempts +lockUntil +twoFactor.secret +twoFactor.lastUsedStep');
+    if (!user || !user.twoFactor.enabled || user.changedPasswordAfter(payload.iat)) {
+      return next(new UnauthorizedError('Sign-in has expired, please start again', 'INVALID_CHALLENGE'));
+    }
+
+    if (user.isLocked()) {
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        entityType: 'User',
+        entityId: user._id,
+        metadata: { email: user.email, reason: 'locked' }
+      });
+      return next(lockedError(res, user.lockUntil));
+    }
+
+    const method = await user.verifySecondFactor(code);
+    if (!method) {
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        entityType: 'User',
+        entityId: user._id,
+        metadata: { email: user.email, reason: 'invalid_two_factor_code' }
+      });
+
+      const lockUntil = await user.registerFailedLogin();
+      if (lockUntil) {
+        await recordAudit(req, {
+          action: 'auth.account_locked',
+          entityType: 'User',
+          entityId: user._id,
+          metadata: { email: user.email, lockUntil }
+        });
+        return next(lockedError(res, lockUntil));
+      }
+      return next(new UnauthorizedError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE'));
+    }
+
+    await twoFactorAccountLimit.reset(req);
+    await completeLogin(req, res, user, { twoFactor: method });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/invitations/:token
+// @desc    Details of a pending invitation, to fill in the accept form
+// @access  Public
+router.get('/invitations/:token', validate({ params: invitationTokenParams }), async (req, res, next) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+    res.json({
+      name: invitation.name,
+      email: invitation.email,
+      phone: invitation.phone,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/invitations/:token/accept
+// @desc    Accept an invitation: creates the client account with the chosen password and signs in.
+//          Body: password, plus email or phone if the invitation had none
+// @access  Public
+router.post('/invitations/:token/accept', accountIpLimit, validate({ params: invitationTokenParams, body: acceptInvitationSchema }), async (req, res, next) => {
+  try {
+    if (getRegistrationMode() === 'off') {
+      return next(new ForbiddenError('Registration is closed', 'REGISTRATION_CLOSED'));
+    }
+
+    const invitation = await findPendingInvitation(req.params.token);
+    const email = invitation.email || req.body.email;
+    const phone = invitation.phone || req.body.phone;
+
+    const missing = [!email && 'email', !phone && 'phone'].filter(Boolean);
+    if (missing.length > 0) {
+      return next(new ValidationError(`${missing[0]} is required`, missing.map((field) => ({
+        location: 'body',
+        field,
+        message: `${field} is required`
+      }))));
+    }
+
+    if (await User.findByEmail(email).setOptions({ withDeleted: true })) {
+      return next(new ConflictError('User already exists', 'EMAIL_IN_USE'));
+    }
+
+    // Claim the invitation first so the same link can't create two accounts
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, ...Invitation.statusFilter('pending') },
+      { $set: { acceptedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      return next(new NotFoundError('Invitation is invalid or has expired', 'INVALID_INVITATION'));
+    }
+
+    let user;
+    try {
+      user = await User.create({
+        name: invitation.name,
+        email,
+        password: req.body.password,
+        phone,
+        role: 'client',
+        assignedStaff: invitation.assignedStaff
+      });
+    } catch (error) {
+      await Invitation.updateOne({ _id: invitation._id }, { $unset: { acceptedAt: 1 } });
+      throw error;
+    }
+
+    await Invitation.updateOne({ _id: invitation._id }, { $set: { client: user._id } });
+    await recordAudit(req, {
+      action: 'invitation.accept',
+      entityType: 'User',
+      entityId: user._id,
+      after: snapshot(user),
+      actor: user,
+      metadata: { invitation: invitation._id }
+    });
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+// @access  Public
+router.post('/refresh', validate({ body: refreshSchema }), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!mongoose.isValidObjectId(sessionId) || !secret) {
+      return next(new UnauthorizedError('Invalid refresh token', 'INVALID_REFRESH_TOKEN'));
+    }
+
+    const session = await Session.findById(sessionId).select('+refreshTokenHash');
+    if (!session || !session.isActive()) {
+      return next(new UnauthorizedError('Invalid refresh token', 'INVALID_REFRESH_TOKEN'));
+    }
+
+    // A mismatch means an already-rotated token was replayed; kill the session
+    if (session.refreshTokenHash !== Session.hashToken(secret)) {
+      session.revokedAt = new Date();
+      await session.save();
+      await recordAudit(req, {
+        action: 'auth.refresh_token_reused',
+        entityType: 'Session',
+        entityId: session._id,
+        metadata: { user: session.user }
+      });
+      return next(new UnauthorizedError('Invalid refresh token', 'INVALID_REFRESH_TOKEN'));
     }
 
+    const user = await User.findById(session.user);
+    if (!user) {
+      session.revokedAt = new Date();
+      await session.save();
+      return next(new UnauthorizedError('Invalid refresh token', 'INVALID_REFRESH_TOKEN'));
+    }
+
+    const newSecret = generateRefreshSecret();
+    session.refreshTokenHash = Session.hashToken(newSecret);
+    session.lastUsedAt = new Date();
+    session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+    session.userAgent = req.headers['user-agent'] || session.userAgent;
+    session.ip = req.ip;
+    await session.save();
+
     res.json({
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      phone: user.phone,
-      role: user.role,
-      token: generateToken(user._id)
+      token: generateToken(user._id, session._id),
+      refreshToken: formatRefreshToken(session._id, newSecret)
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ 
-      message: 'Authentication failed', 
-      details: process.env.NODE_ENV === 'development' ? error.message : 'Server error' 
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', protectEnrollment, async (req, res, next) => {
+  try {
+    req.authSession.revokedAt = new Date();
+    await req.authSession.save();
+    await recordAudit(req, { action: 'auth.logout', entityType: 'Session', entityId: req.authSession._id });
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions for the current user
+// @access  Private
+router.get('/sessions', protect, async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map((session) => ({
+      _id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === req.authSession._id.toString()
+    })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions (pass ?keepCurrent=true to stay signed in here)
+// @access  Private
+router.delete('/sessions', protect, validate({ query: Joi.object({ keepCurrent: Joi.string().valid('true', 'false') }) }), async (req, res, next) => {
+  try {
+    const filter = { user: req.user._id, revokedAt: null };
+    if (req.query.keepCurrent === 'true') {
+      filter._id = { $ne: req.authSession._id };
+    }
+
+    const result = await Session.updateMany(filter, { revokedAt: new Date() });
+    await recordAudit(req, {
+      action: 'auth.sessions_revoke',
+      entityType: 'User',
+      entityId: req.user._id,
+      metadata: { count: result.modifiedCount, keepCurrent: req.query.keepCurrent === 'true' }
     });
+    res.json({ message: 'Sessions revoked', count: result.modifiedCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a single session
+// @access  Private
+router.delete('/sessions/:id', protect, validate({ params: Joi.object({ id: objectId().required() }) }), async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+    if (!session || session.revokedAt) {
+      return next(new NotFoundError('Session not found'));
+    }
+
+    session.revokedAt = new Date();
+    await session.save();
+    await recordAudit(req, { action: 'auth.session_revoke', entityType: 'Session', entityId: session._id });
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    next(error);
   }
 });
 
 // @route   POST /api/auth/forgot-password
 // @desc    Send password reset email
 // @access  Public
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', accountIpLimit, validate({ body: forgotPasswordSchema }), async (req, res, next) => {
+  // Same response whether or not the email exists, so accounts can't be probed
+  const genericResponse = { message: 'If an account exists for that email, password reset instructions have been sent' };
+
   try {
     const { email } = req.body;
-    const user = await User.findOne({ email });
+    const user = await User.findByEmail(email);
+
+    if (!user) {
+      await recordAudit(req, { action: 'auth.password_reset_request', entityType: 'User', metadata: { email, reason: 'unknown_email' } });
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+    await recordAudit(req, { action: 'auth.password_reset_request', entityType: 'User', entityId: user._id, metadata: { email } });
+
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password/${resetToken}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Password reset request',
+        text: `Hi ${user.name},\n\nUse the link below to reset your password. It expires in 1 hour and can only be used once.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`
+      });
+    } catch (mailError) {
+      console.error('Password reset email error:', mailError);
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpires = undefined;
+      await user.save();
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/reset-password/:token
+// @desc    Reset password using a token from the reset email
+// @access  Public
+router.post('/reset-password/:token', validate(resetPasswordSchema), async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findOne({
+      resetPasswordToken: User.hashResetToken(req.params.token),
+      resetPasswordExpires: { $gt: Date.now() }
+    });
 
     if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+      return next(new BadRequestError('Invalid or expired reset token', 'INVALID_RESET_TOKEN'));
     }
 
-    // In a real application, you would send an email with a reset link
-    // For this example, we'll just return a success message
-    res.json({ message: 'Password reset instructions sent to your email' });
+    // New password is hashed by the pre-save hook; clearing the token makes it single-use
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    await user.save();
+    await user.clearFailedLogins();
+    await recordAudit(req, { action: 'auth.password_reset', entityType: 'User', entityId: user._id, actor: user });
+
+    res.json({ message: 'Password has been reset' });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/login-history
+// @desc    Successful and failed sign-ins to the current user's account, newest first
+//          Query: createdFrom/To, sort, page/limit or cursor
+// @access  Private
+router.get('/login-history', protect, validate({ query: listQuerySchema(LOGIN_HISTORY_LIST_OPTIONS) }), async (req, res, next) => {
+  try {
+    const listQuery = parseListQuery(req.query, LOGIN_HISTORY_LIST_OPTIONS);
+    if (listQuery.error) {
+      return next(new ValidationError(listQuery.error));
+    }
+
+    const filter = { entityType: 'User', entityId: req.user._id, action: { $in: LOGIN_HISTORY_ACTIONS } };
+    const result = await findList(AuditLog, filter, listQuery, (query) => {
+      return query.select('action metadata ip userAgent createdAt');
+    });
+
+    result.items = result.items.map((entry) => ({
+      _id: entry._id,
+      event: entry.action.replace('auth.', ''),
+      success: entry.action === 'auth.login',
+      reason: entry.metadata ? entry.metadata.reason : undefined,
+      ip: entry.ip,
+      userAgent: entry.userAgent,
+      createdAt: entry.createdAt
+    }));
+    sendList(res, result, listQuery);
+  } catch (error) {
+    next(error);
   }
 });
 
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
-router.get('/me', protect, async (req, res) => {
+router.get('/me', protectEnrollment, async (req, res, next) => {
   try {
     const user = await User.findById(req.user._id).select('-password');
     res.json(user);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
+router.use('/2fa', require('./twoFactor'));
+
 module.exports = router;
\ No newline at end of file
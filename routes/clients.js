@@ -1,60 +1,500 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const ClientProfile = require('../models/ClientProfile');
+const { protect, requirePermission, hasPermission } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const importUpload = require('../middleware/importUpload');
+const { clientScopeFilter, canAccessClient } = require('../utils/access');
+const { CLIENT_ROLE } = require('../utils/permissions');
+const { parseListQuery, findList, sendList, splitList } = require('../utils/query');
+const { recordAudit, recordAudits, snapshot } = require('../utils/audit');
+const { insertEach } = require('../utils/bulk');
+const { readImportFile, sendSpreadsheet } = require('../utils/spreadsheet');
+const { softDeleteClient, purgeClient } = require('../utils/trash');
+const { notifyInBackground } = require('../utils/notifications');
+const { Joi, objectId, email, newPassword, phone, name, idParams, listQuerySchema } = require('../utils/validation');
+const { isValidPan, isValidGstin, isValidTan, panFromGstin } = require('../utils/taxIds');
+const { AppError, ValidationError, NotFoundError, ConflictError, UnprocessableError } = require('../utils/errors');
+
+// Filters, search and sort options accepted by GET /api/clients
+const CLIENT_LIST_OPTIONS = {
+  filters: {
+    status: { field: 'status', type: 'string' },
+    created: { field: 'createdAt', type: 'dateRange' }
+  },
+  search: ['name', 'email', 'phone'],
+  sort: ['createdAt', 'name', 'email'],
+  defaultSort: 'name'
+};
+
+// Filters on profile fields accepted by GET /api/clients
+const CLIENT_PROFILE_FILTERS = {
+  tag: Joi.string().trim().max(200).allow(''),
+  entityType: Joi.string().trim().max(200).allow('')
+};
+
+// Tax identifiers are accepted in any case and stored uppercase; GSTINs are checksummed
+const taxId = (isValid, label) => Joi.string().trim().uppercase().custom((value, helpers) => {
+  return isValid(value) ? value : helpers.message(`{{#label}} is not a valid ${label}`);
+});
+
+const contactSchema = Joi.object({
+  name: name().required(),
+  designation: Joi.string().trim().max(200).allow(''),
+  email: email().allow(''),
+  phone: phone().allow(''),
+  primary: Joi.boolean()
+});
+
+// Every field is optional; the ones sent replace the stored values and null clears one
+const profileSchema = Joi.object({
+  companyName: Joi.string().trim().max(200).allow('', null),
+  entityType: Joi.string().valid(...ClientProfile.ENTITY_TYPES).allow(null),
+  pan: taxId(isValidPan, 'PAN').allow(null),
+  gstin: taxId(isValidGstin, 'GSTIN').allow(null),
+  tan: taxId(isValidTan, 'TAN').allow(null),
+  address: Joi.object({
+    line1: Joi.string().trim().max(200).allow(''),
+    line2: Joi.string().trim().max(200).allow(''),
+    city: Joi.string().trim().max(100).allow(''),
+    state: Joi.string().trim().max(100).allow(''),
+    postalCode: Joi.string().trim().max(20).allow(''),
+    country: Joi.string().trim().max(100).allow('')
+  }).allow(null),
+  financialYearStartMonth: Joi.number().integer().min(1).max(12),
+  contacts: Joi.array().items(contactSchema).max(50),
+  tags: Joi.array().items(Joi.string().trim().lowercase().min(1).max(50)).unique().max(50),
+  customFields: Joi.object().pattern(
+    Joi.string().trim().min(1).max(100),
+    Joi.alternatives().try(Joi.string().max(1000).allow(''), Joi.number(), Joi.boolean(), Joi.date())
+  ).max(50).allow(null)
+}).min(1);
+
+const createClientSchema = Joi.object({
+  name: name().required(),
+  email: email().required(),
+  password: newPassword().required(),
+  phone: phone().required()
+});
+
+const updateClientSchema = Joi.object({
+  name: name(),
+  email: email(),
+  password: newPassword(),
+  phone: phone()
+});
+
+const staffListSchema = Joi.object({
+  staffIds: Joi.array().items(objectId()).unique().required()
+});
+
+const staffMemberSchema = Joi.object({
+  staffId: objectId().required()
+});
+
+// Most clients exported or deleted in one request
+const MAX_EXPORT_ROWS = 10000;
+const MAX_BULK_IDS = 500;
+
+// Import file columns (headers are matched loosely, see utils/spreadsheet.js)
+const IMPORT_FIELDS = {
+  name: 'name',
+  email: 'email',
+  phone: 'phone',
+  companyname: 'companyName',
+  entitytype: 'entityType',
+  pan: 'pan',
+  gstin: 'gstin',
+  tan: 'tan',
+  tags: 'tags'
+};
+
+// One row of an import file; tags are separated by commas or semicolons
+const importRowSchema = Joi.object({
+  name: name().required(),
+  email: email().required(),
+  phone: phone().required(),
+  companyName: Joi.string().trim().max(200),
+  entityType: Joi.string().valid(...ClientProfile.ENTITY_TYPES),
+  pan: taxId(isValidPan, 'PAN'),
+  gstin: taxId(isValidGstin, 'GSTIN'),
+  tan: taxId(isValidTan, 'TAN'),
+  tags: Joi.string().max(2000)
+});
+
+const importQuerySchema = Joi.object({
+  dryRun: Joi.boolean(),
+  skipInvalid: Joi.boolean()
+});
+
+const exportQuerySchema = listQuerySchema(CLIENT_LIST_OPTIONS, {
+  ...CLIENT_PROFILE_FILTERS,
+  format: Joi.string().valid('csv', 'xlsx')
+});
+
+const bulkIdsSchema = Joi.object({
+  ids: Joi.array().items(objectId()).unique().min(1).max(MAX_BULK_IDS).required()
+});
+
+// Conditions for the client list and export: access scope plus the profile filters
+const clientListFilter = async (req) => {
+  const conditions = [{ role: 'client' }, await clientScopeFilter(req, '_id')];
+
+  // Profile filters narrow the list to the clients whose profile matches
+  const profileFilter = {};
+  if (req.query.tag) {
+    profileFilter.tags = { $in: splitList(req.query.tag).map((tag) => tag.toLowerCase()) };
+  }
+  if (req.query.entityType) {
+    profileFilter.entityType = { $in: splitList(req.query.entityType) };
+  }
+  if (Object.keys(profileFilter).length > 0) {
+    const profiles = await ClientProfile.find(profileFilter).select('client');
+    conditions.push({ _id: { $in: profiles.map((profile) => profile.client) } });
+  }
+
+  return { $and: conditions };
+};
+
+// Clients set their own password with "forgot password"; this one is never shown
+const generatePassword = () => `${crypto.randomBytes(24).toString('base64url')}Aa1`;
+
+const splitTags = (value) => [...new Set((value || '').split(/[,;]/).map((tag) => tag.trim().toLowerCase()).filter(Boolean))];
+
+// Validate import rows, each against the schema, the rest of the file and the existing
+// clients. Returns the rows that can be imported and the problems as { row, field, message }.
+const checkImportRows = async (records) => {
+  const errors = [];
+  const checked = [];
+
+  records.forEach(({ row, ...fields }) => {
+    const { value, error } = importRowSchema.validate(fields, { abortEarly: false, errors: { wrap: { label: false } } });
+    if (error) {
+      error.details.forEach((detail) => errors.push({ row, field: detail.path.join('.'), message: detail.message }));
+      return;
+    }
+
+    const tags = splitTags(value.tags);
+    if (tags.length > 50 || tags.some((tag) => tag.length > 50)) {
+      errors.push({ row, field: 'tags', message: 'Use at most 50 tags of up to 50 characters each' });
+      return;
+    }
+    if (value.pan && value.gstin && panFromGstin(value.gstin) !== value.pan) {
+      errors.push({ row, field: 'gstin', message: 'GSTIN does not contain the client\'s PAN' });
+      return;
+    }
+    checked.push({ row, ...value, tags });
+  });
+
+  // Clients in the trash still hold their email address and tax identifiers
+  const emails = checked.map((record) => record.email);
+  const existingUsers = await User.find({ email: { $in: emails } })
+    .collation({ locale: 'en', strength: 2 })
+    .select('email')
+    .setOptions({ withDeleted: true });
+  const existingProfiles = await ClientProfile.find({
+    $or: [
+      { pan: { $in: checked.map((record) => record.pan).filter(Boolean) } },
+      { gstin: { $in: checked.map((record) => record.gstin).filter(Boolean) } }
+    ]
+  }).select('pan gstin');
+
+  const taken = {
+    email: new Set(existingUsers.map((user) => user.email.toLowerCase())),
+    pan: new Set(existingProfiles.map((profile) => profile.pan).filter(Boolean)),
+    gstin: new Set(existingProfiles.map((profile) => profile.gstin).filter(Boolean))
+  };
+  const seen = { email: new Map(), pan: new Map(), gstin: new Map() };
+
+  const valid = checked.filter((record) => {
+    let ok = true;
+    for (const field of ['email', 'pan', 'gstin']) {
+      const value = record[field];
+      if (!value) continue;
+      if (taken[field].has(value)) {
+        errors.push({ row: record.row, field, message: `${field} is already used by another client` });
+        ok = false;
+      } else if (seen[field].has(value)) {
+        errors.push({ row: record.row, field, message: `${field} repeats row ${seen[field].get(value)}` });
+        ok = false;
+      } else {
+        seen[field].set(value, record.row);
+      }
+    }
+    return ok;
+  });
+
+  errors.sort((a, b) => a.row - b.row);
+  return { valid, errors };
+};
+
+const PROFILE_IMPORT_FIELDS = ['companyName', 'entityType', 'pan', 'gstin', 'tan'];
+
+// Row error for a client or profile the database refused (see utils/bulk.js)
+const refusedRowError = (row, error) => {
+  if (error.name === 'ValidationError') {
+    const [field] = Object.keys(error.errors);
+    return { row, field, message: error.errors[field].message };
+  }
+
+  const [field] = Object.keys(error.keyValue || {});
+  if (error.code === 11000 && field) {
+    return { row, field, message: `${field} is already used by another client` };
+  }
+  return { row, field, message: `Could not be saved (error ${error.code})` };
+};
+
+// Create the imported clients and their profiles in bulk writes. Everyone shares one
+// throwaway password hash, so a large file costs a single bcrypt round. A client
+// whose profile can't be saved is removed again. Returns the clients created and
+// the rows that failed as { row, field, message }. A failed write is thrown.
+const createImportedClients = async (req, records, assignedStaff) => {
+  const password = await User.hashPassword(generatePassword());
+  const users = records.map((record) => {
+    const user = new User({ name: record.name, email: record.email, password, phone: record.phone, role: CLIENT_ROLE, assignedStaff });
+    user.$locals.passwordHashed = true;
+    return user;
+  });
+
+  // Another request may have taken an email or a tax identifier since the rows were checked
+  const errors = [];
+  const recordOf = new Map(users.map((user, index) => [user._id.toString(), records[index]]));
+  const { inserted, failed } = await insertEach(User, users);
+  failed.forEach(({ doc, error }) => {
+    errors.push(refusedRowError(recordOf.get(doc._id.toString()).row, error));
+  });
+
+  const profiles = inserted.flatMap((client) => {
+    const record = recordOf.get(client._id.toString());
+    const fields = Object.fromEntries(PROFILE_IMPORT_FIELDS.filter((field) => record[field]).map((field) => [field, record[field]]));
+    if (Object.keys(fields).length === 0 && record.tags.length === 0) return [];
+    return [new ClientProfile({ client: client._id, ...fields, tags: record.tags, updatedBy: req.user._id })];
+  });
+  let savedProfiles;
+  try {
+    savedProfiles = await insertEach(ClientProfile, profiles);
+  } catch (error) {
+    // Don't leave clients behind without their profiles and audit entries
+    const ids = inserted.map((client) => client._id);
+    await Promise.all([User.deleteMany({ _id: { $in: ids } }), ClientProfile.deleteMany({ client: { $in: ids } })]).catch(() => {});
+    throw error;
+  }
+  const profileOf = new Map(savedProfiles.inserted.map((profile) => [profile.client.toString(), profile]));
+
+  const orphans = savedProfiles.failed.map(({ doc }) => doc.client);
+  if (orphans.length > 0) {
+    await User.deleteMany({ _id: { $in: orphans } });
+    savedProfiles.failed.forEach(({ doc, error }) => {
+      errors.push(refusedRowError(recordOf.get(doc.client.toString()).row, error));
+    });
+  }
+
+  const clients = inserted.filter((client) => !orphans.some((id) => id.equals(client._id)));
+  await recordAudits(req, clients.map((client) => {
+    const profile = profileOf.get(client._id.toString());
+    return {
+      action: 'client.create',
+      entityType: 'User',
+      entityId: client._id,
+      after: { ...snapshot(client), profile: profile ? snapshot(profile) : undefined },
+      metadata: { source: 'import', row: recordOf.get(client._id.toString()).row }
+    };
+  }));
+
+  return {
+    clients: clients.map((client) => ({ row: recordOf.get(client._id.toString()).row, _id: client._id, name: client.name, email: client.email })),
+    errors
+  };
+};
+
+const EXPORT_COLUMNS = [
+  { key: '_id', label: 'ID' },
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'status', label: 'Status' },
+  { key: 'companyName', label: 'Company name' },
+  { key: 'entityType', label: 'Entity type' },
+  { key: 'pan', label: 'PAN' },
+  { key: 'gstin', label: 'GSTIN' },
+  { key: 'tan', label: 'TAN' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'createdAt', label: 'Created' }
+];
 
 // @route   GET /api/clients
-// @desc    Get all clients
-// @access  Private/Admin
-router.get('/', protect, authorize('admin'), async (req, res) => {
+// @desc    Get all clients (staff only see clients assigned to them)
+//          Query: status (active, pending - the approval queue), tag, entityType, createdFrom/To,
+//          search, sort, page/limit or cursor
+// @access  Private/Staff
+router.get('/', protect, requirePermission('clients:read'), validate({ query: listQuerySchema(CLIENT_LIST_OPTIONS, CLIENT_PROFILE_FILTERS) }), async (req, res, next) => {
   try {
-    const clients = await User.find({ role: 'client' }).select('-password');
-    res.json(clients);
+    const listQuery = parseListQuery(req.query, CLIENT_LIST_OPTIONS);
+    if (listQuery.error) {
+      return next(new ValidationError(listQuery.error));
+    }
+
+    const result = await findList(User, await clientListFilter(req), listQuery, (query) => query.select('-password'));
+    sendList(res, result, listQuery);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
+  }
+});
+
+// @route   GET /api/clients/export
+// @desc    Download the client list with profile details as CSV or XLSX.
+//          Query: format (csv, xlsx) and the filters, search and sort of GET /api/clients
+// @access  Private/Staff
+router.get('/export', protect, requirePermission('clients:read'), validate({ query: exportQuerySchema }), async (req, res, next) => {
+  try {
+    const listQuery = parseListQuery(req.query, CLIENT_LIST_OPTIONS);
+    if (listQuery.error) {
+      return next(new ValidationError(listQuery.error));
+    }
+
+    // Exports ignore pagination and hold every matching client
+    const { items, total } = await findList(User, await clientListFilter(req), { ...listQuery, paginated: false }, (query) => {
+      return query.select('name email phone status createdAt').limit(MAX_EXPORT_ROWS);
+    });
+    if (total > MAX_EXPORT_ROWS) {
+      return next(new UnprocessableError(`Export at most ${MAX_EXPORT_ROWS} clients at a time; narrow the filters`, 'EXPORT_TOO_LARGE'));
+    }
+
+    const profiles = await ClientProfile.find({ client: { $in: items.map((client) => client._id) } }).lean();
+    const byClient = new Map(profiles.map((profile) => [profile.client.toString(), profile]));
+    const rows = items.map((client) => {
+      const profile = byClient.get(client._id.toString()) || {};
+      return {
+        ...client,
+        companyName: profile.companyName,
+        entityType: profile.entityType,
+        pan: profile.pan,
+        gstin: profile.gstin,
+        tan: profile.tan,
+        tags: profile.tags
+      };
+    });
+
+    await sendSpreadsheet(res, req.query.format, 'clients', EXPORT_COLUMNS, rows);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/clients/import
+// @desc    Create clients from a CSV or XLSX file (multipart field `file`) with the columns
+//          name, email, phone and optionally companyName, entityType, pan, gstin, tan, tags.
+//          Query: dryRun (only validate), skipInvalid (import the valid rows when others fail).
+//          Imported clients set their password with "forgot password".
+// @access  Private/Staff
+router.post('/import', protect, requirePermission('clients:create'), importUpload, validate({ query: importQuerySchema }), async (req, res, next) => {
+  try {
+    const { dryRun = false, skipInvalid = false } = req.query;
+
+    const records = await readImportFile(req.file, IMPORT_FIELDS);
+    const { valid, errors } = await checkImportRows(records);
+    const invalidRows = new Set(errors.map((error) => error.row)).size;
+    const report = { dryRun, total: records.length, valid: valid.length, invalid: invalidRows, errors };
+
+    if (dryRun) {
+      return res.json({ ...report, created: 0, clients: [] });
+    }
+    if (errors.length > 0 && !skipInvalid) {
+      return next(new AppError(`${invalidRows} of ${records.length} rows have errors; nothing was imported`, 422, 'IMPORT_INVALID', errors));
+    }
+
+    // Staff who can't see every client are assigned to the clients they import
+    const assignedStaff = (await hasPermission(req, 'clients:all')) ? [] : [req.user._id];
+
+    const { clients, errors: failed } = await createImportedClients(req, valid, assignedStaff);
+    errors.push(...failed);
+    errors.sort((a, b) => a.row - b.row);
+
+    res.status(clients.length > 0 ? 201 : 200).json({
+      ...report,
+      invalid: new Set(errors.map((error) => error.row)).size,
+      errors,
+      created: clients.length,
+      clients
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/clients/bulk/delete
+// @desc    Move several clients, with their tasks and documents, to the trash. Body: ids.
+//          Ids that are not accessible clients are reported in errors and skipped.
+// @access  Private/Staff
+router.post('/bulk/delete', protect, requirePermission('clients:delete'), validate({ body: bulkIdsSchema }), async (req, res, next) => {
+  try {
+    const { ids } = req.body;
+
+    const clients = await User.find({ $and: [{ _id: { $in: ids }, role: CLIENT_ROLE }, await clientScopeFilter(req, '_id')] });
+    const found = new Set(clients.map((client) => client._id.toString()));
+
+    for (const client of clients) {
+      const before = snapshot(client);
+      await softDeleteClient(client, req.user);
+      await recordAudit(req, { action: 'client.delete', entityType: 'User', entityId: client._id, before, after: snapshot(client), metadata: { bulk: true } });
+    }
+
+    res.json({
+      deleted: clients.map((client) => client._id),
+      errors: ids.filter((id) => !found.has(id)).map((id) => ({ id, code: 'NOT_FOUND', message: 'Client not found' }))
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
 // @route   GET /api/clients/:id
 // @desc    Get client by ID
-// @access  Private/Admin
-router.get('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private/Staff
+router.get('/:id', protect, requirePermission('clients:read'), validate({ params: idParams }), async (req, res, next) => {
   try {
     const client = await User.findById(req.params.id).select('-password');
     
-    if (!client || client.role !== 'client') {
-      return res.status(404).json({ message: 'Client not found' });
+    if (!client || client.role !== 'client' || !(await canAccessClient(req, client._id))) {
+      return next(new NotFoundError('Client not found'));
     }
     
     res.json(client);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   POST /api/clients
 // @desc    Create a new client
-// @access  Private/Admin
-router.post('/', protect, authorize('admin'), async (req, res) => {
+// @access  Private/Staff
+router.post('/', protect, requirePermission('clients:create'), validate({ body: createClientSchema }), async (req, res, next) => {
   try {
     const { name, email, password, phone } = req.body;
 
-    // Check if client already exists
-    const clientExists = await User.findOne({ email });
+    // Check if client already exists; clients in the trash still hold their email address
+    const clientExists = await User.findByEmail(email).setOptions({ withDeleted: true });
     if (clientExists) {
-      return res.status(400).json({ message: 'Client already exists' });
+      return next(new ConflictError('Client already exists', 'EMAIL_IN_USE'));
     }
 
+    // Staff who can't see every client are assigned to the clients they create
+    const assignedStaff = (await hasPermission(req, 'clients:all')) ? [] : [req.user._id];
+
     // Create new client
     const client = await User.create({
       name,
       email,
       password,
       phone,
-      role: 'client'
+      role: 'client',
+      assignedStaff
     });
 
     if (client) {
+      await recordAudit(req, { action: 'client.create', entityType: 'User', entityId: client._id, after: snapshot(client) });
       res.status(201).json({
         _id: client._id,
         name: client.name,
@@ -64,23 +504,24 @@ router.post('/', protect, authorize('admin'), async (req, res) => {
       });
     }
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   PUT /api/clients/:id
 // @desc    Update client
-// @access  Private/Admin
-router.put('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private/Staff
+router.put('/:id', protect, requirePermission('clients:update'), validate({ params: idParams, body: updateClientSchema }), async (req, res, next) => {
   try {
     const { name, email, phone } = req.body;
     
     const client = await User.findById(req.params.id);
     
-    if (!client || client.role !== 'client') {
-      return res.status(404).json({ message: 'Client not found' });
+    if (!client || client.role !== 'client' || !(await canAccessClient(req, client._id))) {
+      return next(new NotFoundError('Client not found'));
     }
     
+    const before = snapshot(client);
     client.name = name || client.name;
     client.email = email || client.email;
     client.phone = phone || client.phone;
@@ -91,6 +532,13 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
     }
     
     const updatedClient = await client.save();
+    await recordAudit(req, {
+      action: 'client.update',
+      entityType: 'User',
+      entityId: client._id,
+      before,
+      after: snapshot(updatedClient)
+    });
     
     res.json({
       _id: updatedClient._id,
@@ -100,26 +548,238 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
       role: updatedClient.role
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   DELETE /api/clients/:id
-// @desc    Delete client
-// @access  Private/Admin
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @desc    Move a client, with their tasks and documents, to the trash
+// @access  Private/Staff
+router.delete('/:id', protect, requirePermission('clients:delete'), validate({ params: idParams }), async (req, res, next) => {
   try {
     const client = await User.findById(req.params.id);
     
-    if (!client || client.role !== 'client') {
-      return res.status(404).json({ message: 'Client not found' });
+    if (!client || client.role !== 'client' || !(await canAccessClient(req, client._id))) {
+      return next(new NotFoundError('Client not found'));
     }
     
-    // Updated to use deleteOne instead of remove
-    await User.deleteOne({ _id: client._id });
-    res.json({ message: 'Client removed' });
+    const before = snapshot(client);
+    await softDeleteClient(client, req.user);
+    await recordAudit(req, { action: 'client.delete', entityType: 'User', entityId: client._id, before, after: snapshot(client) });
+    res.json({ message: 'Client moved to trash' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Load an accessible client for the assignment routes, or throw a 404
+const findAccessibleClient = async (req) => {
+  const client = await User.findById(req.params.id);
+
+  if (!client || client.role !== CLIENT_ROLE || !(await canAccessClient(req, client._id))) {
+    throw new NotFoundError('Client not found');
+  }
+
+  return client;
+};
+
+// Load an accessible client whose self-registration is waiting for approval
+const findPendingClient = async (req) => {
+  const client = await findAccessibleClient(req);
+
+  if (client.status !== 'pending') {
+    throw new ConflictError('Client is not waiting for approval', 'NOT_PENDING');
+  }
+
+  return client;
+};
+
+// @route   POST /api/clients/:id/approve
+// @desc    Approve a self-registered client so they can sign in
+// @access  Private/Staff
+router.post('/:id/approve', protect, requirePermission('clients:create'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const client = await findPendingClient(req);
+
+    const before = snapshot(client);
+    client.status = 'active';
+    await client.save();
+    await recordAudit(req, { action: 'client.approve', entityType: 'User', entityId: client._id, before, after: snapshot(client) });
+    notifyInBackground('client.approved', [client], { name: client.name }, { type: 'User', id: client._id });
+
+    res.json({
+      _id: client._id,
+      name: client.name,
+      email: client.email,
+      phone: client.phone,
+      role: client.role,
+      status: client.status
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/clients/:id/reject
+// @desc    Reject a self-registered client; the account is removed for good
+// @access  Private/Staff
+router.post('/:id/reject', protect, requirePermission('clients:create'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const client = await findPendingClient(req);
+
+    const before = snapshot(client);
+    await purgeClient(client);
+    await recordAudit(req, { action: 'client.reject', entityType: 'User', entityId: client._id, before });
+
+    res.json({ message: 'Registration rejected' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/clients/:id/profile
+// @desc    Get a client's business profile (empty until one is saved)
+// @access  Private/Staff
+router.get('/:id/profile', protect, requirePermission('clients:read'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const client = await findAccessibleClient(req);
+
+    const profile = await ClientProfile.findOne({ client: client._id }).populate('updatedBy', 'name');
+    res.json(profile || { client: client._id, financialYearStartMonth: 4, contacts: [], tags: [] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/clients/:id/profile
+// @desc    Create or update a client's business profile: companyName, entityType, pan, gstin, tan,
+//          address, financialYearStartMonth, contacts, tags, customFields
+// @access  Private/Staff
+router.put('/:id/profile', protect, requirePermission('clients:update'), validate({ params: idParams, body: profileSchema }), async (req, res, next) => {
+  try {
+    const client = await findAccessibleClient(req);
+
+    const profile = (await ClientProfile.findOne({ client: client._id })) || new ClientProfile({ client: client._id });
+    const before = profile.isNew ? null : snapshot(profile);
+
+    for (const [field, value] of Object.entries(req.body)) {
+      profile.set(field, value === null ? undefined : value);
+    }
+
+    if (profile.pan && profile.gstin && panFromGstin(profile.gstin) !== profile.pan) {
+      return next(new UnprocessableError('GSTIN does not contain the client\'s PAN', 'GSTIN_PAN_MISMATCH'));
+    }
+    if (profile.contacts.filter((contact) => contact.primary).length > 1) {
+      return next(new UnprocessableError('Only one contact can be the primary contact', 'MULTIPLE_PRIMARY_CONTACTS'));
+    }
+
+    profile.updatedBy = req.user._id;
+    await profile.save();
+    await recordAudit(req, {
+      action: 'client.profile_update',
+      entityType: 'User',
+      entityId: client._id,
+      before,
+      after: snapshot(profile)
+    });
+
+    res.json(profile);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Ensure every id belongs to a staff (non-client) user
+const findStaffMembers = async (staffIds) => {
+  const staff = await User.find({ _id: { $in: staffIds }, role: { $ne: CLIENT_ROLE } }).select('name email phone role');
+  return staff.length === new Set(staffIds.map(String)).size ? staff : null;
+};
+
+// @route   GET /api/clients/:id/staff
+// @desc    Get staff assigned to a client
+// @access  Private/Staff
+router.get('/:id/staff', protect, requirePermission('clients:read'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const client = await findAccessibleClient(req);
+
+    await client.populate('assignedStaff', 'name email phone role');
+    res.json(client.assignedStaff);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/clients/:id/staff
+// @desc    Replace the staff assigned to a client
+// @access  Private/Admin
+router.put('/:id/staff', protect, requirePermission('clients:assign'), validate({ params: idParams, body: staffListSchema }), async (req, res, next) => {
+  try {
+    const { staffIds } = req.body;
+
+    const client = await findAccessibleClient(req);
+
+    const staff = await findStaffMembers(staffIds);
+    if (!staff) {
+      return next(new UnprocessableError('Every assignee must be an existing staff member', 'INVALID_ASSIGNEE'));
+    }
+
+    const before = snapshot(client);
+    client.assignedStaff = staff.map((member) => member._id);
+    await client.save();
+    await recordAudit(req, { action: 'client.assign_staff', entityType: 'User', entityId: client._id, before, after: snapshot(client) });
+
+    res.json(staff);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/clients/:id/staff
+// @desc    Assign a staff member to a client
+// @access  Private/Admin
+router.post('/:id/staff', protect, requirePermission('clients:assign'), validate({ params: idParams, body: staffMemberSchema }), async (req, res, next) => {
+  try {
+    const { staffId } = req.body;
+
+    const client = await findAccessibleClient(req);
+
+    const staff = await findStaffMembers([staffId]);
+    if (!staff) {
+      return next(new UnprocessableError('Assignee must be an existing staff member', 'INVALID_ASSIGNEE'));
+    }
+
+    const before = snapshot(client);
+    client.assignedStaff.addToSet(staff[0]._id);
+    await client.save();
+    await recordAudit(req, { action: 'client.assign_staff', entityType: 'User', entityId: client._id, before, after: snapshot(client) });
+    await client.populate('assignedStaff', 'name email phone role');
+
+    res.status(201).json(client.assignedStaff);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/clients/:id/staff/:staffId
+// @desc    Unassign a staff member from a client
+// @access  Private/Admin
+router.delete('/:id/staff/:staffId', protect, requirePermission('clients:assign'), validate({ params: Joi.object({ id: objectId().required(), staffId: objectId().required() }) }), async (req, res, next) => {
+  try {
+    const client = await findAccessibleClient(req);
+
+    const isAssigned = client.assignedStaff.some((id) => id.toString() === req.params.staffId);
+    if (!isAssigned) {
+      return next(new NotFoundError('Staff member is not assigned to this client'));
+    }
+
+    const before = snapshot(client);
+    client.assignedStaff.pull(req.params.staffId);
+    await client.save();
+    await recordAudit(req, { action: 'client.unassign_staff', entityType: 'User', entityId: client._id, before, after: snapshot(client) });
+
+    res.json({ message: 'Staff member unassigned' });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
@@ -0,0 +1,250 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Comment = require('../models/Comment');
+const Document = require('../models/Document');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { protect, requirePermission, hasPermission } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { notifyInBackground } = require('../utils/notifications');
+const { CLIENT_ROLE } = require('../utils/permissions');
+const { isStaff, findAccessibleTask, findResponsibleStaff } = require('../utils/access');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { Joi, objectId, idParams } = require('../utils/validation');
+const { ForbiddenError, NotFoundError, UnprocessableError } = require('../utils/errors');
+
+// Mounted under /api/tasks/:id/comments
+
+const commentParams = Joi.object({
+  id: objectId().required(),
+  commentId: objectId().required()
+});
+
+const commentBody = () => Joi.string().trim().min(1).max(5000)
+  .messages({ 'string.empty': 'Please provide a comment' });
+
+const createCommentSchema = Joi.object({
+  body: commentBody().required(),
+  mentions: Joi.array().items(objectId()).max(50),
+  attachments: Joi.array().items(objectId()).max(20),
+  internal: Joi.boolean().default(false)
+});
+
+const updateCommentSchema = Joi.object({
+  body: commentBody(),
+  mentions: Joi.array().items(objectId()).max(50),
+  attachments: Joi.array().items(objectId()).max(20)
+});
+
+const sameId = (a, b) => a.toString() === b.toString();
+
+// Load a comment on the task the current user may see, or throw a 404
+const findVisibleComment = async (req, task) => {
+  const comment = await Comment.findOne({ _id: req.params.commentId, task: task._id });
+
+  if (!comment || (comment.internal && !isStaff(req))) {
+    throw new NotFoundError('Comment not found');
+  }
+
+  return comment;
+};
+
+// Whether a user can follow the task's thread: its client, or staff working on the client
+const canFollowTask = async (user, task, client) => {
+  if (user.role === CLIENT_ROLE) {
+    return sameId(user._id, task.client);
+  }
+  if (task.createdBy && sameId(user._id, task.createdBy)) return true;
+  if (client && client.assignedStaff.some((id) => sameId(id, user._id))) return true;
+
+  const permissions = await Role.getPermissions(user.role);
+  return permissions.includes('clients:all');
+};
+
+// Load mentioned users, throwing if any can't follow the task; clients cannot be
+// mentioned in internal notes.
+const resolveMentions = async (ids, task, internal) => {
+  if (ids === undefined) return [];
+
+  const unique = [...new Set(ids.map(String))];
+  const users = await User.find({ _id: { $in: unique } }).select('-password');
+  const client = await User.findById(task.client).select('assignedStaff');
+
+  for (const id of unique) {
+    const user = users.find((candidate) => sameId(candidate._id, id));
+    if (!user || !(await canFollowTask(user, task, client))) {
+      throw new UnprocessableError(`User ${id} cannot be mentioned on this task`, 'INVALID_MENTION');
+    }
+    if (internal && user.role === CLIENT_ROLE) {
+      throw new UnprocessableError('Clients cannot be mentioned in internal notes', 'INVALID_MENTION');
+    }
+  }
+
+  return users;
+};
+
+// Check attached document ids; attachments must belong to the task's client
+const resolveAttachments = async (ids, task) => {
+  if (ids === undefined) return [];
+
+  const unique = [...new Set(ids.map(String))];
+  const documents = await Document.find({ _id: { $in: unique }, client: task.client }).select('_id');
+  if (documents.length !== unique.length) {
+    throw new UnprocessableError('Attachments must be documents of this task\'s client', 'INVALID_ATTACHMENT');
+  }
+
+  return documents;
+};
+
+const populateComment = (query) => {
+  return query
+    .populate('author', 'name role')
+    .populate('mentions', 'name')
+    .populate('attachments', 'name fileType size currentVersion');
+};
+
+// Tell the other side of the thread and anyone newly mentioned about a comment
+const notifyComment = async (req, task, comment, mentioned) => {
+  const variables = { title: task.title, author: req.user.name, body: comment.body };
+  const entity = { type: 'Task', id: task._id };
+  const isAuthor = (user) => sameId(user._id, req.user._id);
+
+  const mentionedUsers = mentioned.filter((user) => !isAuthor(user));
+  notifyInBackground('comment.mention', mentionedUsers, variables, entity);
+
+  let recipients = [];
+  if (!isStaff(req)) {
+    recipients = await findResponsibleStaff(task);
+  } else if (!comment.internal) {
+    recipients = [await User.findById(task.client).select('-password')];
+  }
+
+  recipients = recipients.filter((user) => {
+    return user && !isAuthor(user) && !mentionedUsers.some((mention) => sameId(mention._id, user._id));
+  });
+  notifyInBackground('comment.created', recipients, variables, entity);
+};
+
+// @route   GET /api/tasks/:id/comments
+// @desc    Get a task's comment thread, oldest first (internal notes are hidden from clients)
+// @access  Private
+router.get('/', protect, requirePermission('tasks:read'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const task = await findAccessibleTask(req);
+
+    const filter = { task: task._id };
+    if (!isStaff(req)) {
+      filter.internal = false;
+    }
+
+    const comments = await populateComment(Comment.find(filter).sort({ createdAt: 1 }));
+    res.json(comments);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/:id/comments
+// @desc    Add a comment. Body: body, mentions (user ids), attachments (document ids), internal (staff only)
+// @access  Private
+router.post('/', protect, requirePermission('tasks:read'), validate({ params: idParams, body: createCommentSchema }), async (req, res, next) => {
+  try {
+    const task = await findAccessibleTask(req);
+
+    const { body, mentions, attachments, internal } = req.body;
+
+    if (internal && !isStaff(req)) {
+      return next(new ForbiddenError('Only staff can add internal notes'));
+    }
+
+    const mentioned = await resolveMentions(mentions, task, internal);
+    const attached = await resolveAttachments(attachments, task);
+
+    const comment = await Comment.create({
+      task: task._id,
+      author: req.user._id,
+      body,
+      internal,
+      mentions: mentioned.map((user) => user._id),
+      attachments: attached.map((document) => document._id)
+    });
+    await recordAudit(req, { action: 'comment.create', entityType: 'Comment', entityId: comment._id, after: snapshot(comment) });
+
+    await notifyComment(req, task, comment, mentioned);
+
+    res.status(201).json(await populateComment(Comment.findById(comment._id)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/tasks/:id/comments/:commentId
+// @desc    Edit your own comment's text, mentions or attachments
+// @access  Private
+router.put('/:commentId', protect, requirePermission('tasks:read'), validate({ params: commentParams, body: updateCommentSchema }), async (req, res, next) => {
+  try {
+    const task = await findAccessibleTask(req);
+    const comment = await findVisibleComment(req, task);
+
+    if (!sameId(comment.author, req.user._id)) {
+      return next(new ForbiddenError('You can only edit your own comments'));
+    }
+
+    const before = snapshot(comment);
+    const { body, mentions, attachments } = req.body;
+    if (body !== undefined) {
+      comment.body = body;
+    }
+
+    // Only people mentioned for the first time are notified
+    let newlyMentioned = [];
+    if (mentions !== undefined) {
+      const mentioned = await resolveMentions(mentions, task, comment.internal);
+      newlyMentioned = mentioned.filter((user) => !comment.mentions.some((id) => sameId(id, user._id)));
+      comment.mentions = mentioned.map((user) => user._id);
+    }
+
+    if (attachments !== undefined) {
+      const attached = await resolveAttachments(attachments, task);
+      comment.attachments = attached.map((document) => document._id);
+    }
+
+    comment.editedAt = new Date();
+    await comment.save();
+    await recordAudit(req, { action: 'comment.update', entityType: 'Comment', entityId: comment._id, before, after: snapshot(comment) });
+
+    if (newlyMentioned.length > 0) {
+      notifyInBackground('comment.mention', newlyMentioned.filter((user) => !sameId(user._id, req.user._id)), {
+        title: task.title,
+        author: req.user.name,
+        body: comment.body
+      }, { type: 'Task', id: task._id });
+    }
+
+    res.json(await populateComment(Comment.findById(comment._id)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tasks/:id/comments/:commentId
+// @desc    Delete a comment (its author, or anyone who may delete tasks)
+// @access  Private
+router.delete('/:commentId', protect, requirePermission('tasks:read'), validate({ params: commentParams }), async (req, res, next) => {
+  try {
+    const task = await findAccessibleTask(req);
+    const comment = await findVisibleComment(req, task);
+
+    if (!sameId(comment.author, req.user._id) && !(await hasPermission(req, 'tasks:delete'))) {
+      return next(new ForbiddenError('Not authorized to delete this comment'));
+    }
+
+    await Comment.deleteOne({ _id: comment._id });
+    await recordAudit(req, { action: 'comment.delete', entityType: 'Comment', entityId: comment._id, before: snapshot(comment) });
+    res.json({ message: 'Comment removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
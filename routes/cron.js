@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const { protectCron } = require('../middleware/auth');
+const { generateDueOccurrences } = require('../utils/recurrence');
+const { runDeadlineReminders } = require('../utils/reminders');
+const { processQueue } = require('../utils/notifications');
+const { purgeExpiredTrash } = require('../utils/trash');
+
+// @route   GET /api/cron/recurring-tasks
+// @desc    Create upcoming occurrences of recurring tasks
+// @access  Cron
+router.get('/recurring-tasks', protectCron, async (req, res, next) => {
+  try {
+    const created = await generateDueOccurrences();
+    res.json({ created: created.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/cron/deadline-reminders
+// @desc    Send deadline reminders, mark overdue tasks and escalate them, and chase requested documents
+// @access  Cron
+router.get('/deadline-reminders', protectCron, async (req, res, next) => {
+  try {
+    const result = await runDeadlineReminders();
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/cron/notifications
+// @desc    Send queued notifications and retry failed ones that are due
+// @access  Cron
+router.get('/notifications', protectCron, async (req, res, next) => {
+  try {
+    const result = await processQueue();
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/cron/purge-trash
+// @desc    Permanently delete records that have been in the trash longer than the retention period
+// @access  Cron
+router.get('/purge-trash', protectCron, async (req, res, next) => {
+  try {
+    const purged = await purgeExpiredTrash();
+    res.json(purged);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
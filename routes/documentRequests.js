@@ -0,0 +1,199 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const User = require('../models/User');
+const { protect, requirePermission } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { notifyInBackground } = require('../utils/notifications');
+const { isStaff, findAccessibleTask } = require('../utils/access');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { Joi, objectId, idParams } = require('../utils/validation');
+const { ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Mounted under /api/tasks/:id/document-requests
+
+const requestParams = Joi.object({
+  id: objectId().required(),
+  requestId: objectId().required()
+});
+
+const requestItem = Joi.object({
+  name: Joi.string().trim().min(1).max(200).required(),
+  description: Joi.string().trim().max(2000).allow(''),
+  dueDate: Joi.date()
+});
+
+const createRequestsSchema = Joi.object({
+  items: Joi.array().items(requestItem).min(1).max(50).required()
+});
+
+const updateRequestSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200),
+  description: Joi.string().trim().max(2000).allow(''),
+  dueDate: Joi.date().allow(null)
+}).min(1);
+
+const rejectRequestSchema = Joi.object({
+  reason: Joi.string().trim().min(1).max(1000).required()
+});
+
+// Only staff ask for and review documents
+const requireStaff = (req, res, next) => {
+  if (!isStaff(req)) {
+    return next(new ForbiddenError('Not authorized to manage document requests'));
+  }
+  next();
+};
+
+const findRequest = (task, requestId) => {
+  const request = task.documentRequests.id(requestId);
+  if (!request) {
+    throw new NotFoundError('Document request not found');
+  }
+  return request;
+};
+
+// @route   GET /api/tasks/:id/document-requests
+// @desc    Get the documents requested for a task with their status and uploads
+// @access  Private
+router.get('/', protect, requirePermission('tasks:read'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const task = await findAccessibleTask(req);
+
+    await task.populate('documentRequests.documents', 'name fileType size currentVersion createdAt');
+    res.json(task.documentRequests);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/:id/document-requests
+// @desc    Ask the client for documents. Body: items [{ name, description, dueDate }]
+// @access  Private/Staff
+router.post('/', protect, requirePermission('tasks:update'), requireStaff, validate({ params: idParams, body: createRequestsSchema }), async (req, res, next) => {
+  try {
+    const task = await findAccessibleTask(req);
+
+    const before = snapshot(task);
+    const added = req.body.items.map((item) => task.documentRequests.create({ ...item, requestedBy: req.user._id }));
+    task.documentRequests.push(...added);
+    await task.save();
+    await recordAudit(req, { action: 'task.request_documents', entityType: 'Task', entityId: task._id, before, after: snapshot(task) });
+
+    const client = await User.findById(task.client);
+    notifyInBackground('document_request.created', [client], {
+      title: task.title,
+      items: added.map((item) => item.name).join(', ')
+    }, { type: 'Task', id: task._id });
+
+    res.status(201).json(added);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/tasks/:id/document-requests/:requestId
+// @desc    Change what is asked for or when it is due
+// @access  Private/Staff
+router.put('/:requestId', protect, requirePermission('tasks:update'), requireStaff, validate({ params: requestParams, body: updateRequestSchema }), async (req, res, next) => {
+  try {
+    const task = await findAccessibleTask(req);
+    const request = findRequest(task, req.params.requestId);
+
+    const before = snapshot(task);
+    ['name', 'description'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        request[field] = req.body[field];
+      }
+    });
+    if (req.body.dueDate !== undefined) {
+      request.dueDate = req.body.dueDate || undefined;
+      // A new due date starts the reminder schedule over
+      request.remindersSent = [];
+    }
+    await task.save();
+    await recordAudit(req, { action: 'task.update_document_request', entityType: 'Task', entityId: task._id, before, after: snapshot(task) });
+
+    res.json(request);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tasks/:id/document-requests/:requestId
+// @desc    Withdraw a document request; documents already uploaded are kept
+// @access  Private/Staff
+router.delete('/:requestId', protect, requirePermission('tasks:update'), requireStaff, validate({ params: requestParams }), async (req, res, next) => {
+  try {
+    const task = await findAccessibleTask(req);
+    const request = findRequest(task, req.params.requestId);
+
+    const before = snapshot(task);
+    request.deleteOne();
+    await task.save();
+    await recordAudit(req, { action: 'task.remove_document_request', entityType: 'Task', entityId: task._id, before, after: snapshot(task) });
+
+    res.json({ message: 'Document request removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/:id/document-requests/:requestId/accept
+// @desc    Accept the files received for a request
+// @access  Private/Staff
+router.post('/:requestId/accept', protect, requirePermission('tasks:update'), requireStaff, validate({ params: requestParams }), async (req, res, next) => {
+  try {
+    const task = await findAccessibleTask(req);
+    const request = findRequest(task, req.params.requestId);
+
+    if (request.status !== 'received') {
+      return next(new ConflictError(`Only received documents can be reviewed; this request is ${request.status}`, 'REQUEST_NOT_RECEIVED'));
+    }
+
+    const before = snapshot(task);
+    request.status = 'accepted';
+    request.reviewedBy = req.user._id;
+    request.reviewedAt = new Date();
+    await task.save();
+    await recordAudit(req, { action: 'task.accept_document_request', entityType: 'Task', entityId: task._id, before, after: snapshot(task) });
+
+    res.json(request);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/:id/document-requests/:requestId/reject
+// @desc    Reject the files received for a request and ask for them again. Body: reason
+// @access  Private/Staff
+router.post('/:requestId/reject', protect, requirePermission('tasks:update'), requireStaff, validate({ params: requestParams, body: rejectRequestSchema }), async (req, res, next) => {
+  try {
+    const task = await findAccessibleTask(req);
+    const request = findRequest(task, req.params.requestId);
+
+    if (request.status !== 'received') {
+      return next(new ConflictError(`Only received documents can be reviewed; this request is ${request.status}`, 'REQUEST_NOT_RECEIVED'));
+    }
+
+    const before = snapshot(task);
+    request.status = 'rejected';
+    request.rejectionReason = req.body.reason;
+    request.reviewedBy = req.user._id;
+    request.reviewedAt = new Date();
+    await task.save();
+    await recordAudit(req, { action: 'task.reject_document_request', entityType: 'Task', entityId: task._id, before, after: snapshot(task) });
+
+    const client = await User.findById(task.client);
+    notifyInBackground('document_request.rejected', [client], {
+      title: task.title,
+      name: request.name,
+      reason: request.rejectionReason
+    }, { type: 'Task', id: task._id });
+
+    res.json(request);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
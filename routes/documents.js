@@ -2,80 +2,198 @@ const express = require('express');
 const router = express.Router();
 const Document = require('../models/Document');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { notifyInBackground } = require('../utils/notifications');
+const { CLIENT_ROLE } = require('../utils/permissions');
+const { clientScopeFilter, canAccessClient, findResponsibleStaff } = require('../utils/access');
+const { parseListQuery, findList, sendList } = require('../utils/query');
 const upload = require('../middleware/upload');
-const path = require('path');
-const axios = require('axios');
+const { getStorage } = require('../utils/storage');
+const { contentDisposition } = require('../utils/files');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { streamDocumentArchive } = require('../utils/documentArchive');
+const { softDeleteRecord } = require('../utils/trash');
+const { OPEN_REQUEST_STATUSES, findDocumentRequest, markRequestReceived, releaseRequestDocument } = require('../utils/documentRequests');
+const { Joi, objectId, idParams, listQuerySchema } = require('../utils/validation');
+const { ValidationError, BadRequestError, ForbiddenError, NotFoundError, ConflictError, UnprocessableError } = require('../utils/errors');
+const { pipeline } = require('stream');
 
-// WhatsApp notification function using Beta Blaster API
-const sendWhatsAppNotification = async (phone, message) => {
+// Remove a stored upload that won't be attached to a document
+const discardUpload = async (file) => {
+  if (!file) return;
   try {
-    const response = await axios.post('https://api.betablaster.com/send', {
-      apiKey: process.env.BETA_BLASTER_API_KEY,
-      phone: phone,
-      message: message
-    });
-    return response.data;
+    await getStorage(file.storageDriver).remove(file.storageKey);
   } catch (error) {
-    console.error('WhatsApp notification error:', error);
-    return null;
+    console.error('Failed to discard upload:', error);
   }
 };
 
-// Helper function to get MIME type based on file extension
-function getMimeType(extension) {
-  const mimeTypes = {
-    '.pdf': 'application/pdf',
-    '.doc': 'application/msword',
-    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    '.xls': 'application/vnd.ms-excel',
-    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    '.png': 'image/png',
-    '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.gif': 'image/gif',
-    '.txt': 'text/plain',
-    '.csv': 'text/csv',
-    '.zip': 'application/zip',
-    '.rar': 'application/x-rar-compressed',
-    '.mp4': 'video/mp4',
-    '.mp3': 'audio/mpeg',
-    '.ppt': 'application/vnd.ms-powerpoint',
-    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
-    // Add more MIME types as needed
+// Describe an uploaded file as a document version
+const versionFromUpload = (req) => {
+  return {
+    storageKey: req.file.storageKey,
+    storageDriver: req.file.storageDriver,
+    size: req.file.size,
+    fileType: req.file.extension, // Checked against the file's content by the upload middleware
+    mimeType: req.file.detectedMimeType,
+    originalName: req.file.originalname,
+    uploadedBy: req.user._id
   };
+};
+
+// Stream a stored file (the current one or an older version) as a download
+const sendStoredFile = async (res, document, file) => {
+  // Legacy documents not yet migrated still carry their bytes inline
+  const legacy = file.storageKey ? null : await Document.findById(document._id).select('+fileData');
+  const fileStream = legacy ? null : await getStorage(file.storageDriver).get(file.storageKey);
+  
+  // Set appropriate headers for file download; the filename is RFC 5987 encoded
+  const extension = `.${file.fileType}`;
+  const filename = document.name.toLowerCase().endsWith(extension) ? document.name : `${document.name}${extension}`;
+  res.setHeader('Content-Type', file.mimeType);
+  res.setHeader('Content-Disposition', contentDisposition(filename));
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  
+  if (legacy) {
+    return res.send(legacy.fileData);
+  }
+  
+  if (file.size) {
+    res.setHeader('Content-Length', file.size);
+  }
+  
+  // Stream the file from storage instead of buffering it in memory
+  pipeline(fileStream, res, (err) => {
+    if (err) {
+      console.error('Download stream error:', err);
+    }
+  });
+};
+
+// Load a document the current user may access, or throw a 404/403
+const findAccessibleDocument = async (req, action) => {
+  const document = await Document.findById(req.params.id);
   
-  return mimeTypes[extension.toLowerCase()] || 'application/octet-stream';
-}
+  if (!document) {
+    throw new NotFoundError('Document not found');
+  }
+  
+  if (!(await canAccessClient(req, document.client))) {
+    throw new ForbiddenError(`Not authorized to ${action} this document`);
+  }
+  
+  return document;
+};
+
+// Filters, search and sort options accepted by GET /api/documents
+const DOCUMENT_LIST_OPTIONS = {
+  filters: {
+    fileType: { field: 'fileType', type: 'string' },
+    client: { field: 'client', type: 'objectId' },
+    task: { field: 'task', type: 'objectId' },
+    request: { field: 'request', type: 'objectId' },
+    uploadedBy: { field: 'uploadedBy', type: 'objectId' },
+    created: { field: 'createdAt', type: 'dateRange' }
+  },
+  search: ['name', 'description'],
+  sort: ['createdAt', 'name', 'size', 'fileType']
+};
+
+// Multipart fields sent alongside the uploaded file
+const uploadDocumentSchema = Joi.object({
+  name: Joi.string().trim().max(255).allow(''),
+  description: Joi.string().trim().max(2000).allow(''),
+  clientId: objectId().allow(''),
+  taskId: objectId().allow(''),
+  // A document request on a task; the task and client are taken from it
+  requestId: objectId().allow('')
+});
+
+// Most documents in one ZIP download
+const MAX_ARCHIVE_DOCUMENTS = 2000;
+
+const versionParams = Joi.object({
+  id: objectId().required(),
+  version: Joi.number().integer().min(1).required()
+});
 
 // @route   GET /api/documents
-// @desc    Get all documents (admin: all docs, client: only their docs)
+// @desc    Get all documents (staff: docs of their clients, client: only their docs)
+//          Query: fileType, client, task, request, uploadedBy, createdFrom/To, search, sort, page/limit or cursor
 // @access  Private
-router.get('/', protect, async (req, res) => {
+router.get('/', protect, requirePermission('documents:read'), validate({ query: listQuerySchema(DOCUMENT_LIST_OPTIONS) }), async (req, res, next) => {
   try {
-    let documents;
+    const listQuery = parseListQuery(req.query, DOCUMENT_LIST_OPTIONS);
+    if (listQuery.error) {
+      return next(new ValidationError(listQuery.error));
+    }
     
-    if (req.user.role === 'admin') {
-      documents = await Document.find({}, '-fileData') // Exclude file data for listing
-        .populate('client', 'name email')
-        .populate('uploadedBy', 'name')
-        .populate('task', 'title');
-    } else {
-      documents = await Document.find({ client: req.user._id }, '-fileData') // Exclude file data for listing
+    const scope = await clientScopeFilter(req);
+    const result = await findList(Document, scope, listQuery, (query) => {
+      // Version history is only needed on the versions endpoint
+      query.select('-fileData -versions');
+      if (req.user.role !== CLIENT_ROLE) {
+        query.populate('client', 'name email');
+      }
+      return query.populate('uploadedBy', 'name').populate('task', 'title');
+    });
+    
+    sendList(res, result, listQuery);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/documents/archive
+// @desc    Download the matching documents as a ZIP, in a folder per task, with a manifest.csv
+//          listing each file's uploader and date. Query: the filters and search of GET /api/documents
+// @access  Private
+router.get('/archive', protect, requirePermission('documents:read'), validate({ query: listQuerySchema(DOCUMENT_LIST_OPTIONS) }), async (req, res, next) => {
+  try {
+    const listQuery = parseListQuery(req.query, DOCUMENT_LIST_OPTIONS);
+    if (listQuery.error) {
+      return next(new ValidationError(listQuery.error));
+    }
+
+    const scope = await clientScopeFilter(req);
+    const { items, total } = await findList(Document, scope, { ...listQuery, paginated: false }, (query) => {
+      return query
+        .select('-fileData')
+        .populate('client', 'name')
+        .populate('task', 'title')
         .populate('uploadedBy', 'name')
-        .populate('task', 'title');
+        .populate('versions.uploadedBy', 'name')
+        .limit(MAX_ARCHIVE_DOCUMENTS);
+    });
+
+    if (total === 0) {
+      return next(new NotFoundError('No documents match the filters', 'NO_DOCUMENTS'));
     }
-    
-    res.json(documents);
+    if (total > MAX_ARCHIVE_DOCUMENTS) {
+      return next(new UnprocessableError(`Download at most ${MAX_ARCHIVE_DOCUMENTS} documents at a time; narrow the filters`, 'ARCHIVE_TOO_LARGE'));
+    }
+
+    await recordAudit(req, { action: 'document.archive', entityType: 'Document', metadata: { query: req.query, documents: total } });
+
+    const clients = new Set(items.map((document) => document.client._id.toString()));
+    const date = new Date().toISOString().slice(0, 10);
+    const filename = clients.size === 1 ? `${items[0].client.name} documents ${date}.zip` : `documents ${date}.zip`;
+    await streamDocumentArchive(res, items, filename);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    // Once the archive has started the response can only be cut short
+    if (res.headersSent) {
+      console.error('Document archive error:', error);
+      return res.destroy(error);
+    }
+    next(error);
   }
 });
 
 // @route   GET /api/documents/:id
 // @desc    Get document by ID
 // @access  Private
-router.get('/:id', protect, async (req, res) => {
+router.get('/:id', protect, requirePermission('documents:read'), validate({ params: idParams }), async (req, res, next) => {
   try {
     const document = await Document.findById(req.params.id, '-fileData') // Exclude file data
       .populate('client', 'name email')
@@ -83,68 +201,102 @@ router.get('/:id', protect, async (req, res) => {
       .populate('task', 'title');
     
     if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
+      return next(new NotFoundError('Document not found'));
     }
     
     // Check if user is authorized to view this document
-    if (req.user.role !== 'admin' && document.client._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to access this document' });
+    if (!(await canAccessClient(req, document.client._id))) {
+      return next(new ForbiddenError('Not authorized to access this document'));
     }
     
     res.json(document);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   POST /api/documents
-// @desc    Upload a document
+// @desc    Upload a document. Pass requestId to fulfil a document request on a task.
 // @access  Private
-router.post('/', protect, upload.single('file'), async (req, res) => {
+router.post('/', protect, requirePermission('documents:upload'), upload.single('file'), validate({ body: uploadDocumentSchema }), async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ message: 'Please upload a file' });
+      return next(new BadRequestError('Please upload a file'));
     }
     
-    const { name, description, clientId, taskId } = req.body;
+    const { name, description, clientId, requestId } = req.body;
+    let { taskId } = req.body;
+    
+    // An upload for a document request belongs to the request's task and client
+    let requested = null;
+    if (requestId) {
+      requested = await findDocumentRequest(requestId);
+      if (!requested || !(await canAccessClient(req, requested.task.client))) {
+        await discardUpload(req.file);
+        return next(new NotFoundError('Document request not found'));
+      }
+      if (req.user.role === CLIENT_ROLE && !OPEN_REQUEST_STATUSES.includes(requested.request.status)) {
+        await discardUpload(req.file);
+        return next(new ConflictError(`This request is already ${requested.request.status}`, 'REQUEST_CLOSED'));
+      }
+      taskId = requested.task._id;
+    }
     
     // Determine the client ID
     let client;
-    if (req.user.role === 'admin') {
-      // Admin must specify a client
+    if (requested) {
+      client = await User.findById(requested.task.client);
+    } else if (req.user.role !== CLIENT_ROLE) {
+      // Staff must specify a client
       if (!clientId) {
-        return res.status(400).json({ message: 'Please specify a client' });
+        await discardUpload(req.file);
+        return next(new BadRequestError('Please specify a client'));
       }
       client = await User.findById(clientId);
-      if (!client || client.role !== 'client') {
-        return res.status(404).json({ message: 'Client not found' });
+      if (!client || client.role !== 'client' || !(await canAccessClient(req, client._id))) {
+        await discardUpload(req.file);
+        return next(new NotFoundError('Client not found'));
       }
     } else {
       // For client users, the client is themselves
       client = req.user;
     }
     
-    // Get file extension and MIME type
-    const fileExtension = path.extname(req.file.originalname);
-    const mimeType = getMimeType(fileExtension);
+    const file = versionFromUpload(req);
     
     try {
-      // Create document record with file data stored in MongoDB
+      // Create document record pointing at the file in the storage backend
       const document = await Document.create({
         name: name || req.file.originalname,
         description,
-        fileData: req.file.buffer, // Store file buffer directly in MongoDB
-        fileType: fileExtension.substring(1), // Remove the dot from extension
-        mimeType: mimeType,
+        storageKey: file.storageKey,
+        storageDriver: file.storageDriver,
+        size: file.size,
+        fileType: file.fileType,
+        mimeType: file.mimeType,
         client: client._id,
         uploadedBy: req.user._id,
-        task: taskId || null
+        task: taskId || null,
+        request: requested ? requested.request._id : undefined,
+        currentVersion: 1,
+        versions: [{ ...file, version: 1 }]
       });
+      await recordAudit(req, { action: 'document.create', entityType: 'Document', entityId: document._id, after: snapshot(document) });
+      
+      if (requested) {
+        await markRequestReceived(requested.task, requested.request, document);
+        if (req.user.role === CLIENT_ROLE) {
+          notifyInBackground('document_request.received', await findResponsibleStaff(requested.task), {
+            title: requested.task.title,
+            name: requested.request.name,
+            clientName: client.name
+          }, { type: 'Task', id: requested.task._id });
+        }
+      }
       
-      // If admin uploaded a document for a client, send notification
-      if (req.user.role === 'admin' && client._id.toString() !== req.user._id.toString()) {
-        const notificationMessage = `New document uploaded: ${document.name}`;
-        await sendWhatsAppNotification(client.phone, notificationMessage);
+      // If staff uploaded a document for a client, send notification
+      if (req.user.role !== CLIENT_ROLE && client._id.toString() !== req.user._id.toString()) {
+        notifyInBackground('document.uploaded', [client], { name: document.name }, { type: 'Document', id: document._id });
       }
       
       // Return document info without the file data
@@ -153,64 +305,174 @@ router.post('/', protect, upload.single('file'), async (req, res) => {
       
       res.status(201).json(documentResponse);
     } catch (err) {
-      console.error('Database error:', err);
-      res.status(500).json({ message: err.message });
+      await discardUpload(req.file);
+      next(err);
     }
   } catch (error) {
-    console.error('Upload route error:', error);
-    res.status(500).json({ message: error.message });
+    await discardUpload(req.file);
+    next(error);
   }
 });
 
 // @route   GET /api/documents/download/:id
 // @desc    Download a document
 // @access  Private
-router.get('/download/:id', protect, async (req, res) => {
+router.get('/download/:id', protect, requirePermission('documents:read'), validate({ params: idParams }), async (req, res, next) => {
   try {
     const document = await Document.findById(req.params.id);
     
     if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
+      return next(new NotFoundError('Document not found'));
     }
     
     // Check if user is authorized to download this document
-    if (req.user.role !== 'admin' && document.client.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to download this document' });
+    if (!(await canAccessClient(req, document.client))) {
+      return next(new ForbiddenError('Not authorized to download this document'));
     }
     
-    // Set appropriate headers for file download
-    res.setHeader('Content-Type', document.mimeType);
-    res.setHeader('Content-Disposition', `attachment; filename="${document.name}.${document.fileType}"`);
-    
-    // Send the file data directly from MongoDB
-    res.send(document.fileData);
+    await sendStoredFile(res, document, document);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   DELETE /api/documents/:id
-// @desc    Delete a document
+// @desc    Move a document to the trash (its files are kept until it is purged)
 // @access  Private
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, requirePermission('documents:delete'), validate({ params: idParams }), async (req, res, next) => {
   try {
     const document = await Document.findById(req.params.id);
     
     if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
+      return next(new NotFoundError('Document not found'));
     }
     
     // Check if user is authorized to delete this document
-    if (req.user.role !== 'admin' && document.client.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to delete this document' });
+    if (!(await canAccessClient(req, document.client))) {
+      return next(new ForbiddenError('Not authorized to delete this document'));
+    }
+    
+    const before = snapshot(document);
+    await softDeleteRecord(document, req.user);
+    await releaseRequestDocument(document);
+    await recordAudit(req, { action: 'document.delete', entityType: 'Document', entityId: document._id, before, after: snapshot(document) });
+    
+    res.json({ message: 'Document moved to trash' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/documents/:id/versions
+// @desc    Upload a new version of a document
+// @access  Private
+router.post('/:id/versions', protect, requirePermission('documents:upload'), upload.single('file'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(new BadRequestError('Please upload a file'));
+    }
+    
+    const document = await findAccessibleDocument(req, 'update');
+    
+    const before = snapshot(document);
+    const version = document.addVersion(versionFromUpload(req));
+    await document.save();
+    await recordAudit(req, {
+      action: 'document.add_version',
+      entityType: 'Document',
+      entityId: document._id,
+      before,
+      after: snapshot(document),
+      metadata: { version: version.version }
+    });
+    
+    res.status(201).json(version);
+  } catch (error) {
+    await discardUpload(req.file);
+    next(error);
+  }
+});
+
+// @route   GET /api/documents/:id/versions
+// @desc    Get the version history of a document
+// @access  Private
+router.get('/:id/versions', protect, requirePermission('documents:read'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const document = await findAccessibleDocument(req, 'access');
+    
+    document.ensureVersionHistory();
+    await document.populate('versions.uploadedBy', 'name');
+    
+    const versions = document.versions
+      .map((entry) => ({ ...entry.toObject(), current: entry.version === document.currentVersion }))
+      .sort((a, b) => b.version - a.version);
+    
+    res.json(versions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/documents/:id/versions/:version/download
+// @desc    Download a specific version of a document
+// @access  Private
+router.get('/:id/versions/:version/download', protect, requirePermission('documents:read'), validate({ params: versionParams }), async (req, res, next) => {
+  try {
+    const document = await findAccessibleDocument(req, 'download');
+    
+    document.ensureVersionHistory();
+    const version = document.getVersion(req.params.version);
+    if (!version) {
+      return next(new NotFoundError('Version not found'));
+    }
+    
+    await sendStoredFile(res, document, version);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/documents/:id/versions/:version/restore
+// @desc    Restore an earlier version (recorded as a new version)
+// @access  Private
+router.post('/:id/versions/:version/restore', protect, requirePermission('documents:upload'), validate({ params: versionParams }), async (req, res, next) => {
+  try {
+    const document = await findAccessibleDocument(req, 'update');
+    
+    document.ensureVersionHistory();
+    const source = document.getVersion(req.params.version);
+    if (!source) {
+      return next(new NotFoundError('Version not found'));
+    }
+    
+    if (source.version === document.currentVersion) {
+      return next(new ConflictError('Version is already current', 'VERSION_ALREADY_CURRENT'));
     }
     
-    // Delete document record from MongoDB (file data is deleted automatically)
-    await Document.deleteOne({ _id: document._id });
+    const before = snapshot(document);
+    const version = document.addVersion({
+      storageKey: source.storageKey,
+      storageDriver: source.storageDriver,
+      size: source.size,
+      fileType: source.fileType,
+      mimeType: source.mimeType,
+      originalName: source.originalName,
+      uploadedBy: req.user._id,
+      restoredFrom: source.version
+    });
+    await document.save();
+    await recordAudit(req, {
+      action: 'document.restore_version',
+      entityType: 'Document',
+      entityId: document._id,
+      before,
+      after: snapshot(document),
+      metadata: { version: version.version, restoredFrom: source.version }
+    });
     
-    res.json({ message: 'Document removed' });
+    res.status(201).json(version);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
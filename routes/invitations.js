@@ -0,0 +1,165 @@
+const express = require('express');
+const router = express.Router();
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { protect, requirePermission, hasPermission } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { CLIENT_ROLE } = require('../utils/permissions');
+const { parseListQuery, findList, sendList } = require('../utils/query');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { getRegistrationMode, sendInvitation } = require('../utils/registration');
+const { Joi, objectId, email, phone, name, idParams, listQuerySchema } = require('../utils/validation');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError, UnprocessableError } = require('../utils/errors');
+
+// Filters, search and sort options accepted by GET /api/invitations
+const INVITATION_LIST_OPTIONS = {
+  filters: {
+    invitedBy: { field: 'invitedBy', type: 'objectId' },
+    created: { field: 'createdAt', type: 'dateRange' }
+  },
+  search: ['name', 'email', 'phone'],
+  sort: ['createdAt', 'name', 'expiresAt']
+};
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+const createInvitationSchema = Joi.object({
+  name: name().required(),
+  email: email(),
+  phone: phone(),
+  staffIds: Joi.array().items(objectId()).unique()
+}).or('email', 'phone').messages({ 'object.missing': 'Please provide an email address or a phone number' });
+
+// Staff who can't see every client only see the invitations they sent
+const invitationScope = async (req) => {
+  return (await hasPermission(req, 'clients:all')) ? {} : { invitedBy: req.user._id };
+};
+
+// Load an invitation the current user may manage, or throw a 404
+const findAccessibleInvitation = async (req) => {
+  const invitation = await Invitation.findOne({ _id: req.params.id, ...(await invitationScope(req)) });
+  if (!invitation) {
+    throw new NotFoundError('Invitation not found');
+  }
+  return invitation;
+};
+
+// Invitations are pointless when no self-service accounts are allowed
+const requireInvitationsEnabled = (req, res, next) => {
+  if (getRegistrationMode() === 'off') {
+    return next(new ForbiddenError('Client invitations are turned off', 'REGISTRATION_CLOSED'));
+  }
+  next();
+};
+
+// @route   GET /api/invitations
+// @desc    Get client invitations, newest first
+//          Query: status (pending, accepted, revoked, expired), invitedBy, createdFrom/To, search, sort, page/limit or cursor
+// @access  Private/Staff
+router.get('/', protect, requirePermission('clients:create'), validate({ query: listQuerySchema(INVITATION_LIST_OPTIONS, { status: Joi.string().valid(...INVITATION_STATUSES) }) }), async (req, res, next) => {
+  try {
+    const listQuery = parseListQuery(req.query, INVITATION_LIST_OPTIONS);
+    if (listQuery.error) {
+      return next(new ValidationError(listQuery.error));
+    }
+
+    const filter = { ...(await invitationScope(req)), ...Invitation.statusFilter(req.query.status) };
+    const result = await findList(Invitation, filter, listQuery, (query) => {
+      return query.populate('invitedBy', 'name').populate('client', 'name email');
+    });
+
+    result.items = result.items.map((item) => ({ ...item, status: Invitation.statusOf(item) }));
+    sendList(res, result, listQuery);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/invitations
+// @desc    Invite a client by email and/or phone; they set their own password from the link.
+//          Body: name, email, phone, staffIds (staff to assign once the client joins)
+// @access  Private/Staff
+router.post('/', protect, requirePermission('clients:create'), requireInvitationsEnabled, validate({ body: createInvitationSchema }), async (req, res, next) => {
+  try {
+    const { name, email, phone, staffIds } = req.body;
+
+    if (email && (await User.findByEmail(email).setOptions({ withDeleted: true }))) {
+      return next(new ConflictError('A user with this email already exists', 'EMAIL_IN_USE'));
+    }
+
+    const contact = [email && { email }, phone && { phone }].filter(Boolean);
+    const existing = await Invitation.findOne({ $or: contact, ...Invitation.statusFilter('pending') });
+    if (existing) {
+      return next(new ConflictError('This client already has a pending invitation; resend it instead', 'INVITATION_PENDING'));
+    }
+
+    // Staff who can't see every client are assigned to the clients they invite
+    let assignedStaff = (await hasPermission(req, 'clients:all')) ? [] : [req.user._id];
+    if (staffIds) {
+      if (!(await hasPermission(req, 'clients:assign'))) {
+        return next(new ForbiddenError(`User role ${req.user.role} is missing permission: clients:assign`, 'MISSING_PERMISSION'));
+      }
+      const staff = await User.find({ _id: { $in: staffIds }, role: { $ne: CLIENT_ROLE } }).select('_id');
+      if (staff.length !== staffIds.length) {
+        return next(new UnprocessableError('Every assignee must be an existing staff member', 'INVALID_ASSIGNEE'));
+      }
+      assignedStaff = staff.map((member) => member._id);
+    }
+
+    const invitation = new Invitation({ name, email, phone, assignedStaff, invitedBy: req.user._id });
+    const token = invitation.createToken();
+    await invitation.save();
+    await sendInvitation(invitation, token, req.user);
+    await recordAudit(req, { action: 'invitation.create', entityType: 'Invitation', entityId: invitation._id, after: snapshot(invitation) });
+
+    res.status(201).json(invitation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/invitations/:id/resend
+// @desc    Send a pending or expired invitation again with a new link (the old link stops working)
+// @access  Private/Staff
+router.post('/:id/resend', protect, requirePermission('clients:create'), requireInvitationsEnabled, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const invitation = await findAccessibleInvitation(req);
+
+    if (!['pending', 'expired'].includes(invitation.getStatus())) {
+      return next(new ConflictError(`Invitation is already ${invitation.getStatus()}`, 'INVITATION_CLOSED'));
+    }
+
+    const token = invitation.createToken();
+    await invitation.save();
+    await sendInvitation(invitation, token, req.user);
+    await recordAudit(req, { action: 'invitation.resend', entityType: 'Invitation', entityId: invitation._id });
+
+    res.json(invitation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/invitations/:id
+// @desc    Revoke an invitation so its link no longer works
+// @access  Private/Staff
+router.delete('/:id', protect, requirePermission('clients:create'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const invitation = await findAccessibleInvitation(req);
+
+    if (invitation.getStatus() === 'accepted') {
+      return next(new ConflictError('Invitation has already been accepted', 'INVITATION_CLOSED'));
+    }
+
+    const before = snapshot(invitation);
+    invitation.revokedAt = invitation.revokedAt || new Date();
+    await invitation.save();
+    await recordAudit(req, { action: 'invitation.revoke', entityType: 'Invitation', entityId: invitation._id, before, after: snapshot(invitation) });
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,289 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { protect, protectStream, requirePermission } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { CHANNELS } = require('../utils/notifications/channels');
+const { DEFAULT_TEMPLATES, EVENTS } = require('../utils/notifications/templates');
+const { subscribe, publishInBackground, unreadCount } = require('../utils/notifications/stream');
+const { parseListQuery, findList, sendList } = require('../utils/query');
+const { Joi, idParams, listQuerySchema } = require('../utils/validation');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const TEMPLATE_CHANNELS = ['*', ...CHANNELS];
+
+// Keeps idle SSE connections open through proxies
+const HEARTBEAT_MS = 25 * 1000;
+
+// Filters, search and sort options accepted by GET /api/notifications
+const INBOX_LIST_OPTIONS = {
+  filters: {
+    event: { field: 'event', type: 'string' },
+    entityType: { field: 'entityType', type: 'string' },
+    created: { field: 'createdAt', type: 'dateRange' }
+  },
+  search: ['title', 'body'],
+  sort: ['createdAt']
+};
+
+// Filters, search and sort options accepted by GET /api/notifications/deliveries
+const DELIVERY_LIST_OPTIONS = {
+  filters: {
+    status: { field: 'status', type: 'string' },
+    channel: { field: 'channel', type: 'string' },
+    event: { field: 'event', type: 'string' },
+    recipient: { field: 'recipient', type: 'objectId' },
+    created: { field: 'createdAt', type: 'dateRange' }
+  },
+  search: ['destination', 'subject'],
+  sort: ['createdAt', 'status', 'event', 'attempts']
+};
+
+const inboxQuerySchema = listQuerySchema(INBOX_LIST_OPTIONS, { unread: Joi.boolean() });
+
+const markReadSchema = Joi.object({ read: Joi.boolean().default(true) });
+
+const preferencesSchema = Joi.object({
+  ...Object.fromEntries(CHANNELS.map((channel) => [channel, Joi.boolean()])),
+  optOut: Joi.array().items(Joi.string().valid(...EVENTS)).unique()
+    .messages({ 'any.only': 'Unknown event: {{#value}}' })
+});
+
+const templateParams = Joi.object({
+  event: Joi.string().valid(...EVENTS).required(),
+  channel: Joi.string().valid(...TEMPLATE_CHANNELS).required()
+    .messages({ 'any.only': `Channel must be one of ${TEMPLATE_CHANNELS.join(', ')}` })
+});
+
+const templateSchema = Joi.object({
+  subject: Joi.string().trim().max(200).required(),
+  body: Joi.string().trim().max(5000).required()
+});
+
+// @route   GET /api/notifications
+// @desc    Get the current user's in-app notifications, newest first, with the unread count
+//          Query: unread=true, event, entityType, createdFrom/To, search, page/limit or cursor
+// @access  Private
+router.get('/', protect, validate({ query: inboxQuerySchema }), async (req, res, next) => {
+  try {
+    const listQuery = parseListQuery(req.query, INBOX_LIST_OPTIONS);
+    if (listQuery.error) {
+      return next(new ValidationError(listQuery.error));
+    }
+
+    const filter = { user: req.user._id };
+    if (req.query.unread) {
+      filter.readAt = null;
+    }
+
+    const result = await findList(Notification, filter, listQuery);
+    result.unread = await unreadCount(req.user._id);
+
+    res.setHeader('X-Unread-Count', result.unread);
+    sendList(res, result, listQuery);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get the number of unread in-app notifications
+// @access  Private
+router.get('/unread-count', protect, async (req, res, next) => {
+  try {
+    res.json({ unread: await unreadCount(req.user._id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/notifications/stream
+// @desc    Server-sent events: `unread` on connect, then `notification` and `read` as the inbox changes.
+//          EventSource cannot send headers, so the access token may be passed as ?access_token=.
+//          The stream closes when the access token expires; reconnect with a fresh one.
+// @access  Private
+router.get('/stream', protectStream, async (req, res, next) => {
+  try {
+    const unread = await unreadCount(req.user._id);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (type, data) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    res.write('retry: 5000\n\n');
+    send('unread', { unread });
+
+    const unsubscribe = subscribe(req.user._id, ({ type, data }) => send(type, data));
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    const expiry = setTimeout(() => res.end(), Math.max(req.tokenExpiresAt - Date.now(), 0));
+
+    req.on('close', () => {
+      unsubscribe();
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      return res.end();
+    }
+    next(error);
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark every in-app notification of the current user as read
+// @access  Private
+router.put('/read-all', protect, async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    publishInBackground(req.user._id, 'read', { all: true });
+    res.json({ updated: result.modifiedCount, unread: 0 });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark one in-app notification as read (pass { read: false } to mark it unread again)
+// @access  Private
+router.put('/:id/read', protect, validate({ params: idParams, body: markReadSchema }), async (req, res, next) => {
+  try {
+    const readAt = req.body.read ? new Date() : null;
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $set: { readAt } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return next(new NotFoundError('Notification not found'));
+    }
+
+    const unread = await unreadCount(req.user._id);
+    publishInBackground(req.user._id, 'read', { id: notification._id, read: readAt !== null });
+    res.json({ notification, unread });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get the current user's notification preferences
+// @access  Private
+router.get('/preferences', protect, (req, res) => {
+  res.json({ preferences: req.user.notificationPreferences, channels: CHANNELS, events: EVENTS });
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Turn channels on or off and opt out of individual events
+// @access  Private
+router.put('/preferences', protect, validate({ body: preferencesSchema }), async (req, res, next) => {
+  try {
+    const { optOut } = req.body;
+    const preferences = req.user.notificationPreferences;
+
+    for (const channel of CHANNELS) {
+      if (req.body[channel] !== undefined) {
+        preferences[channel] = req.body[channel];
+      }
+    }
+
+    if (optOut !== undefined) {
+      preferences.optOut = optOut;
+    }
+
+    await req.user.save();
+    res.json({ preferences: req.user.notificationPreferences });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/notifications/templates
+// @desc    Get every event with its default template and any overrides
+// @access  Private/Admin
+router.get('/templates', protect, requirePermission('notifications:manage'), async (req, res, next) => {
+  try {
+    const overrides = await NotificationTemplate.find().populate('updatedBy', 'name').lean();
+
+    res.json(EVENTS.map((event) => ({
+      event,
+      default: DEFAULT_TEMPLATES[event],
+      overrides: overrides.filter((template) => template.event === event)
+    })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/notifications/templates/:event/:channel
+// @desc    Create or update the template for an event on a channel ('*' for every channel)
+// @access  Private/Admin
+router.put('/templates/:event/:channel', protect, requirePermission('notifications:manage'), validate({ params: templateParams, body: templateSchema }), async (req, res, next) => {
+  try {
+    const { event, channel } = req.params;
+    const { subject, body } = req.body;
+
+    const template = await NotificationTemplate.findOneAndUpdate(
+      { event, channel },
+      { $set: { subject, body, updatedBy: req.user._id, updatedAt: new Date() } },
+      { new: true, upsert: true, runValidators: true }
+    );
+    res.json(template);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/notifications/templates/:event/:channel
+// @desc    Remove a template override so the default is used again
+// @access  Private/Admin
+router.delete('/templates/:event/:channel', protect, requirePermission('notifications:manage'), validate({ params: templateParams }), async (req, res, next) => {
+  try {
+    const { event, channel } = req.params;
+    const result = await NotificationTemplate.deleteOne({ event, channel });
+
+    if (result.deletedCount === 0) {
+      return next(new NotFoundError('Template not found'));
+    }
+    res.json({ message: 'Template reset to default' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/notifications/deliveries
+// @desc    Delivery log of every notification sent or queued
+//          Query: status, channel, event, recipient, createdFrom/To, search, sort, page/limit or cursor
+// @access  Private/Admin
+router.get('/deliveries', protect, requirePermission('notifications:manage'), validate({ query: listQuerySchema(DELIVERY_LIST_OPTIONS) }), async (req, res, next) => {
+  try {
+    const listQuery = parseListQuery(req.query, DELIVERY_LIST_OPTIONS);
+    if (listQuery.error) {
+      return next(new ValidationError(listQuery.error));
+    }
+
+    const result = await findList(NotificationDelivery, {}, listQuery, (query) => {
+      return query.populate('recipient', 'name email role');
+    });
+
+    sendList(res, result, listQuery);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
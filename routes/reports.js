@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { protect, requirePermission } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { clientScopeFilter } = require('../utils/access');
+const { splitList } = require('../utils/query');
+const { sendCsv } = require('../utils/csv');
+const reports = require('../utils/reports');
+const { Joi, objectIdList } = require('../utils/validation');
+
+// Every report accepts a client filter and format=csv; the date range applies to
+// the field described on each route
+const reportQuery = (extra = {}) => Joi.object({
+  client: objectIdList().allow(''),
+  format: Joi.string().valid('json', 'csv').default('json'),
+  ...extra
+});
+
+const rangeQuery = (extra = {}) => reportQuery({
+  from: Joi.date(),
+  to: Joi.date().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .messages({ 'date.min': 'to must not be before from' }),
+  ...extra
+});
+
+// Client condition for the aggregations: access scoping plus the client filter.
+// Aggregations don't cast ids, so they are converted here.
+const reportScope = async (req) => {
+  const conditions = [await clientScopeFilter(req)];
+  if (req.query.client) {
+    conditions.push({ client: { $in: splitList(req.query.client).map((id) => new mongoose.Types.ObjectId(id)) } });
+  }
+  return { $and: conditions };
+};
+
+// Route handler running a report from utils/reports.js and sending it as JSON or CSV
+const runReport = (name, build) => async (req, res, next) => {
+  try {
+    const { columns, ...report } = await build({ ...req.query, scope: await reportScope(req) });
+
+    if (req.query.format === 'csv') {
+      const date = new Date().toISOString().slice(0, 10);
+      return sendCsv(res, `${name}-${date}.csv`, columns, report.rows);
+    }
+
+    res.json({ from: req.query.from, to: req.query.to, ...report });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @route   GET /api/reports/tasks-by-status
+// @desc    Task counts per client and status. Query: from/to (task creation), client, format
+// @access  Private/Admin
+router.get('/tasks-by-status', protect, requirePermission('reports:read'), validate({ query: rangeQuery() }), runReport('tasks-by-status', reports.tasksByStatus));
+
+// @route   GET /api/reports/overdue
+// @desc    Open tasks past their deadline per client. Query: from/to (deadline), client, format
+// @access  Private/Admin
+router.get('/overdue', protect, requirePermission('reports:read'), validate({ query: rangeQuery() }), runReport('overdue', reports.overdueTasks));
+
+// @route   GET /api/reports/completion
+// @desc    Days to complete and on-time (SLA) rate per client. Query: from/to (completion), client, format
+// @access  Private/Admin
+router.get('/completion', protect, requirePermission('reports:read'), validate({ query: rangeQuery() }), runReport('completion', reports.completionTimes));
+
+// @route   GET /api/reports/upcoming-deadlines
+// @desc    Open tasks due per week from today. Query: weeks (default 8), client, format
+// @access  Private/Admin
+router.get('/upcoming-deadlines', protect, requirePermission('reports:read'), validate({ query: reportQuery({ weeks: Joi.number().integer().min(1).max(52).default(8) }) }), runReport('upcoming-deadlines', reports.upcomingDeadlines));
+
+// @route   GET /api/reports/document-uploads
+// @desc    Uploads and bytes per period. Query: from/to (upload), interval (day, week, month), client, format
+// @access  Private/Admin
+router.get('/document-uploads', protect, requirePermission('reports:read'), validate({ query: rangeQuery({ interval: Joi.string().valid('day', 'week', 'month').default('month') }) }), runReport('document-uploads', reports.documentUploads));
+
+// @route   GET /api/reports/storage
+// @desc    Storage used per client, including files in the trash. Query: client, format
+// @access  Private/Admin
+router.get('/storage', protect, requirePermission('reports:read'), validate({ query: reportQuery() }), runReport('storage', reports.storageByClient));
+
+module.exports = router;
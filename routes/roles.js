@@ -0,0 +1,227 @@
+const express = require('express');
+const router = express.Router();
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { protect, requirePermission } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { PERMISSIONS, SUPER_ROLE, DEFAULT_ROLES } = require('../utils/permissions');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { Joi, objectId } = require('../utils/validation');
+const { BadRequestError, NotFoundError, ConflictError, UnprocessableError } = require('../utils/errors');
+
+const permissionList = () => Joi.array().items(Joi.string().valid(...PERMISSIONS)).unique()
+  .messages({ 'any.only': 'Unknown permission: {{#value}}' });
+
+const roleParams = Joi.object({ name: Joi.string().trim().lowercase().max(50).required() });
+
+const createRoleSchema = Joi.object({
+  name: Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9_-]*$/, 'role name').max(50).required(),
+  description: Joi.string().trim().max(500).allow(''),
+  permissions: permissionList().default([]),
+  requireTwoFactor: Joi.boolean().default(false)
+});
+
+const updateRoleSchema = Joi.object({
+  description: Joi.string().trim().max(500).allow(''),
+  permissions: permissionList(),
+  requireTwoFactor: Joi.boolean()
+});
+
+const assignRoleSchema = Joi.object({
+  role: Joi.string().trim().lowercase().max(50).required()
+});
+
+// What a role grants, from a stored role or a definition from Role.getAll()
+const roleSnapshot = (role) => {
+  const { name, description, permissions, requireTwoFactor } = snapshot(role);
+  return { name, description, permissions, requireTwoFactor: Boolean(requireTwoFactor) };
+};
+
+// @route   GET /api/roles
+// @desc    Get all roles with their permissions
+// @access  Private/Admin
+router.get('/', protect, requirePermission('roles:manage'), async (req, res, next) => {
+  try {
+    const roles = await Role.getAll();
+    res.json(Object.values(roles));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/roles/permissions
+// @desc    Get every permission that can be granted
+// @access  Private/Admin
+router.get('/permissions', protect, requirePermission('roles:manage'), (req, res) => {
+  res.json(PERMISSIONS);
+});
+
+// @route   POST /api/roles
+// @desc    Create a custom role
+// @access  Private/Admin
+router.post('/', protect, requirePermission('roles:manage'), validate({ body: createRoleSchema }), async (req, res, next) => {
+  try {
+    const { name, description, permissions, requireTwoFactor } = req.body;
+
+    if (await Role.isDefined(name)) {
+      return next(new ConflictError('Role already exists', 'ROLE_EXISTS'));
+    }
+
+    const role = await Role.create({ name, description, permissions, requireTwoFactor });
+    await recordAudit(req, {
+      action: 'role.create',
+      entityType: 'Role',
+      entityId: role._id,
+      after: roleSnapshot(role)
+    });
+
+    res.status(201).json(role);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/roles/:name
+// @desc    Update a role's description, permissions or two-factor requirement (built-in roles are overridden)
+// @access  Private/Admin
+router.put('/:name', protect, requirePermission('roles:manage'), validate({ params: roleParams, body: updateRoleSchema }), async (req, res, next) => {
+  try {
+    const { description, permissions, requireTwoFactor } = req.body;
+    const name = req.params.name;
+
+    // Only the two-factor requirement of the super role can change
+    if (name === SUPER_ROLE && (description !== undefined || permissions !== undefined)) {
+      return next(new BadRequestError(`The ${SUPER_ROLE} role cannot be modified`, 'PROTECTED_ROLE'));
+    }
+
+    if (!(await Role.isDefined(name))) {
+      return next(new NotFoundError('Role not found'));
+    }
+
+    // Built-in roles live in code until first edited, so create the override on demand
+    const current = (await Role.getAll())[name];
+    const role = (await Role.findOne({ name })) ||
+      new Role({ name, description: current.description, permissions: current.permissions });
+    const before = roleSnapshot(current);
+
+    if (description !== undefined) {
+      role.description = description;
+    }
+    if (permissions !== undefined) {
+      role.permissions = permissions;
+    }
+    if (requireTwoFactor !== undefined) {
+      role.requireTwoFactor = requireTwoFactor;
+    }
+
+    const updatedRole = await role.save();
+    await recordAudit(req, {
+      action: 'role.update',
+      entityType: 'Role',
+      entityId: updatedRole._id,
+      before,
+      after: roleSnapshot(updatedRole)
+    });
+
+    res.json(updatedRole);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/roles/:name
+// @desc    Delete a custom role, or reset a built-in role to its defaults
+// @access  Private/Admin
+router.delete('/:name', protect, requirePermission('roles:manage'), validate({ params: roleParams }), async (req, res, next) => {
+  try {
+    const name = req.params.name;
+
+    if (DEFAULT_ROLES[name]) {
+      const override = await Role.findOne({ name });
+      if (override) {
+        await Role.deleteOne({ _id: override._id });
+        Role.clearCache();
+        await recordAudit(req, {
+          action: 'role.reset',
+          entityType: 'Role',
+          entityId: override._id,
+          before: roleSnapshot(override),
+          after: roleSnapshot((await Role.getAll())[name])
+        });
+      }
+      return res.json({ message: 'Role reset to defaults' });
+    }
+
+    const role = await Role.findOne({ name });
+    if (!role) {
+      return next(new NotFoundError('Role not found'));
+    }
+
+    const usersWithRole = await User.countDocuments({ role: name });
+    if (usersWithRole > 0) {
+      return next(new ConflictError(`Role is assigned to ${usersWithRole} user(s)`, 'ROLE_IN_USE'));
+    }
+
+    await Role.deleteOne({ _id: role._id });
+    Role.clearCache();
+    await recordAudit(req, {
+      action: 'role.delete',
+      entityType: 'Role',
+      entityId: role._id,
+      before: roleSnapshot(role)
+    });
+
+    res.json({ message: 'Role removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/roles/assign/:userId
+// @desc    Assign a role to a user
+// @access  Private/Admin
+router.put('/assign/:userId', protect, requirePermission('roles:manage'), validate({ params: Joi.object({ userId: objectId().required() }), body: assignRoleSchema }), async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!(await Role.isDefined(role))) {
+      return next(new UnprocessableError('Unknown role', 'UNKNOWN_ROLE'));
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return next(new NotFoundError('User not found'));
+    }
+
+    // Never leave the firm without an administrator
+    if (user.role === SUPER_ROLE && role !== SUPER_ROLE) {
+      const admins = await User.countDocuments({ role: SUPER_ROLE });
+      if (admins <= 1) {
+        return next(new ConflictError(`Cannot remove the last ${SUPER_ROLE}`, 'LAST_ADMIN'));
+      }
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+    await recordAudit(req, {
+      action: 'user.assign_role',
+      entityType: 'User',
+      entityId: user._id,
+      before: { role: previousRole },
+      after: { role }
+    });
+
+    res.json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      role: user.role
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
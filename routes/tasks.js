@@ -1,169 +1,861 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const ClientProfile = require('../models/ClientProfile');
+const Role = require('../models/Role');
 const Task = require('../models/Task');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
-const axios = require('axios');
+const Workflow = require('../models/Workflow');
+const { protect, requirePermission } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { notifyInBackground } = require('../utils/notifications');
+const { CLIENT_ROLE } = require('../utils/permissions');
+const { clientScopeFilter, canAccessClient, isStaff, findAccessibleTask, findResponsibleStaff } = require('../utils/access');
+const { parseListQuery, findList, sendList } = require('../utils/query');
+const { normalizeRecurrence, generateNextOccurrence } = require('../utils/recurrence');
+const { recordAudit, recordAudits, snapshot } = require('../utils/audit');
+const { insertEach } = require('../utils/bulk');
+const { sendSpreadsheet } = require('../utils/spreadsheet');
+const { softDeleteRecord } = require('../utils/trash');
+const { INITIAL_STATUS, COMPLETED_STATUS, isStatus, allowedTransitions, canTransition } = require('../utils/workflow');
+const { Joi, objectId, idParams, listQuerySchema } = require('../utils/validation');
+const { ValidationError, NotFoundError, ForbiddenError, ConflictError, UnprocessableError } = require('../utils/errors');
 
-// WhatsApp notification function using Beta Blaster API
-const sendWhatsAppNotification = async (phone, message) => {
-  try {
-    const response = await axios.post('https://api.betablaster.com/send', {
-      apiKey: process.env.BETA_BLASTER_API_KEY,
-      phone: phone,
-      message: message
-    });
-    return response.data;
-  } catch (error) {
-    console.error('WhatsApp notification error:', error);
-    return null;
+// Filters, search and sort options accepted by GET /api/tasks
+const TASK_LIST_OPTIONS = {
+  filters: {
+    status: { field: 'status', type: 'string' },
+    priority: { field: 'priority', type: 'string' },
+    client: { field: 'client', type: 'objectId' },
+    assignee: { field: 'assignee', type: 'objectId' },
+    deadline: { field: 'deadline', type: 'dateRange' },
+    created: { field: 'createdAt', type: 'dateRange' }
+  },
+  search: ['title', 'description'],
+  sort: ['createdAt', 'deadline', 'title', 'status']
+};
+
+// Checked in more depth (e.g. rrule syntax) by normalizeRecurrence
+const recurrenceSchema = Joi.object({
+  frequency: Joi.string().valid('monthly', 'quarterly', 'yearly', 'custom').required(),
+  dayOfMonth: Joi.number().integer().min(1).max(31),
+  rrule: Joi.string().max(500),
+  until: Joi.date().allow(null),
+  count: Joi.number().integer().min(1).allow(null)
+});
+
+const checklistText = () => Joi.string().trim().min(1).max(500);
+
+const createTaskSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).required(),
+  description: Joi.string().max(5000).allow(''),
+  clientId: objectId().required(),
+  deadline: Joi.date().required(),
+  assigneeId: objectId(),
+  priority: Joi.string().valid(...Task.PRIORITIES),
+  checklist: Joi.array().items(checklistText()).max(100),
+  recurrence: recurrenceSchema
+});
+
+const updateTaskSchema = {
+  params: idParams,
+  query: Joi.object({ scope: Joi.string().valid('series') }),
+  body: Joi.object({
+    title: Joi.string().trim().min(1).max(200),
+    description: Joi.string().max(5000).allow(''),
+    status: Joi.string().trim().max(50),
+    statusNote: Joi.string().trim().max(1000),
+    deadline: Joi.date(),
+    clientId: objectId(),
+    assigneeId: objectId().allow(null),
+    priority: Joi.string().valid(...Task.PRIORITIES),
+    recurrence: recurrenceSchema
+  })
+};
+
+const changeStatusSchema = {
+  params: idParams,
+  body: Joi.object({
+    status: Joi.string().trim().max(50).required(),
+    note: Joi.string().trim().max(1000)
+  })
+};
+
+const checklistItemParams = Joi.object({
+  id: objectId().required(),
+  itemId: objectId().required()
+});
+
+const addChecklistItemSchema = {
+  params: idParams,
+  body: Joi.object({ text: checklistText().required() })
+};
+
+const updateChecklistItemSchema = {
+  params: checklistItemParams,
+  body: Joi.object({ text: checklistText(), done: Joi.boolean() }).min(1)
+};
+
+const endSeriesSchema = {
+  params: idParams,
+  body: Joi.object({ removeUpcoming: Joi.boolean() })
+};
+
+// Most tasks created, changed or exported in one request
+const MAX_BULK_TASKS = 500;
+const MAX_EXPORT_ROWS = 10000;
+
+// The same task for many clients, picked by id or by profile tag
+const bulkCreateSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).required(),
+  description: Joi.string().max(5000).allow(''),
+  deadline: Joi.date().required(),
+  assigneeId: objectId(),
+  priority: Joi.string().valid(...Task.PRIORITIES),
+  checklist: Joi.array().items(checklistText()).max(100),
+  clientIds: Joi.array().items(objectId()).unique().min(1).max(MAX_BULK_TASKS),
+  tag: Joi.string().trim().lowercase().min(1).max(50),
+  notifyClients: Joi.boolean()
+}).xor('clientIds', 'tag');
+
+const bulkTaskIds = () => Joi.array().items(objectId()).unique().min(1).max(MAX_BULK_TASKS).required();
+
+const bulkStatusSchema = Joi.object({
+  taskIds: bulkTaskIds(),
+  status: Joi.string().trim().max(50).required(),
+  note: Joi.string().trim().max(1000)
+});
+
+const bulkDeleteSchema = Joi.object({
+  taskIds: bulkTaskIds()
+});
+
+const exportQuerySchema = listQuerySchema(TASK_LIST_OPTIONS, {
+  format: Joi.string().valid('csv', 'xlsx')
+});
+
+const EXPORT_COLUMNS = [
+  { key: '_id', label: 'ID' },
+  { key: 'title', label: 'Title' },
+  { key: 'client.name', label: 'Client' },
+  { key: 'client.email', label: 'Client email' },
+  { key: 'status', label: 'Status' },
+  { key: 'priority', label: 'Priority' },
+  { key: 'deadline', label: 'Deadline' },
+  { key: 'assignee.name', label: 'Assignee' },
+  { key: 'createdBy.name', label: 'Created by' },
+  { key: 'createdAt', label: 'Created' }
+];
+
+const notRecurring = () => new ConflictError('Task is not part of a recurring series', 'NOT_RECURRING');
+
+const findStaffMember = async (assigneeId) => {
+  const assignee = await User.findById(assigneeId);
+  if (!assignee || assignee.role === CLIENT_ROLE) {
+    throw new UnprocessableError('Assignee must be an existing staff member', 'INVALID_ASSIGNEE');
+  }
+  return assignee;
+};
+
+const notAssignedToClient = () => new UnprocessableError('Assignee is not assigned to this client', 'INVALID_ASSIGNEE');
+
+// A task can be assigned to a staff member who can see its client
+const findAssignee = async (assigneeId, clientId) => {
+  const assignee = await findStaffMember(assigneeId);
+
+  const client = await User.findById(clientId).select('assignedStaff');
+  const assigned = client && client.assignedStaff.some((id) => id.equals(assignee._id));
+  if (!assigned && !(await Role.getPermissions(assignee.role)).includes('clients:all')) {
+    throw notAssignedToClient();
   }
+
+  return assignee;
+};
+
+// Check a status change against the workflow for the current user's role, then apply it
+const applyStatusChange = async (req, task, status, note) => {
+  const workflow = await Workflow.getWorkflow();
+  if (!isStatus(workflow, status)) {
+    throw new UnprocessableError(`Unknown status: ${status}`, 'UNKNOWN_STATUS');
+  }
+  if (!canTransition(workflow, task.status, status, req.user.role)) {
+    throw new ForbiddenError(`Cannot move a task from ${task.status} to ${status}`, 'TRANSITION_NOT_ALLOWED');
+  }
+  task.changeStatus(status, req.user, note);
+};
+
+// Tell the people working on a task that someone else moved it, then handle completion
+const afterStatusChange = async (req, task, from) => {
+  const client = await User.findById(task.client);
+
+  let recipients = [];
+  if (task.assignee) {
+    recipients = [await User.findById(task.assignee)];
+  } else if (!isStaff(req)) {
+    recipients = await findResponsibleStaff(task);
+  }
+  recipients = recipients.filter((user) => user && user._id.toString() !== req.user._id.toString());
+  notifyInBackground('task.status_changed', recipients, {
+    title: task.title,
+    from,
+    status: task.status
+  }, { type: 'Task', id: task._id });
+
+  // Completion tells the client and queues the next occurrence
+  if (task.status === COMPLETED_STATUS) {
+    notifyInBackground('task.completed', [client], { title: task.title }, { type: 'Task', id: task._id });
+
+    if (task.seriesId) {
+      await generateNextOccurrence(task);
+    }
+  }
+};
+
+const notifyAssignee = (req, task, assignee, client) => {
+  if (assignee._id.toString() === req.user._id.toString()) return;
+  notifyInBackground('task.assigned', [assignee], {
+    title: task.title,
+    assignedBy: req.user.name,
+    clientName: client.name,
+    deadline: task.deadline
+  }, { type: 'Task', id: task._id });
+};
+
+// Accessible tasks among `taskIds`, with a NOT_FOUND error for each id that isn't one
+const findBulkTasks = async (req, taskIds) => {
+  const tasks = await Task.find({ $and: [{ _id: { $in: taskIds } }, await clientScopeFilter(req)] });
+  const found = new Set(tasks.map((task) => task._id.toString()));
+  const errors = taskIds
+    .filter((id) => !found.has(id))
+    .map((id) => ({ id, code: 'NOT_FOUND', message: 'Task not found' }));
+  return { tasks, errors };
+};
+
+// Accessible clients for a bulk create, picked by id or by profile tag
+const findBulkClients = async (req, { clientIds, tag }) => {
+  let ids = clientIds;
+  if (tag) {
+    const profiles = await ClientProfile.find({ tags: tag }).select('client');
+    ids = profiles.map((profile) => profile.client.toString());
+  }
+
+  const clients = await User.find({ $and: [{ _id: { $in: ids }, role: CLIENT_ROLE }, await clientScopeFilter(req, '_id')] });
+  const found = new Set(clients.map((client) => client._id.toString()));
+  const errors = tag ? [] : ids
+    .filter((id) => !found.has(id))
+    .map((id) => ({ id, code: 'NOT_FOUND', message: 'Client not found' }));
+  return { clients, errors };
 };
 
+// Statuses and transitions: /api/tasks/workflow
+router.use('/workflow', require('./workflow'));
+
 // @route   GET /api/tasks
-// @desc    Get all tasks (admin: all tasks, client: only their tasks)
+// @desc    Get all tasks (staff: tasks of their clients, client: only their tasks)
+//          Query: status, priority, client, assignee, deadlineFrom/To, createdFrom/To, search, sort,
+//          page/limit or cursor
 // @access  Private
-router.get('/', protect, async (req, res) => {
+router.get('/', protect, requirePermission('tasks:read'), validate({ query: listQuerySchema(TASK_LIST_OPTIONS) }), async (req, res, next) => {
   try {
-    let tasks;
-    
-    if (req.user.role === 'admin') {
-      tasks = await Task.find()
-        .populate('client', 'name email phone')
-        .populate('createdBy', 'name');
-    } else {
-      tasks = await Task.find({ client: req.user._id })
-        .populate('createdBy', 'name');
+    const listQuery = parseListQuery(req.query, TASK_LIST_OPTIONS);
+    if (listQuery.error) {
+      return next(new ValidationError(listQuery.error));
     }
     
-    res.json(tasks);
+    const scope = await clientScopeFilter(req);
+    const result = await findList(Task, scope, listQuery, (query) => {
+      if (req.user.role !== CLIENT_ROLE) {
+        query.populate('client', 'name email phone');
+      }
+      return query.populate('createdBy', 'name').populate('assignee', 'name');
+    });
+    
+    sendList(res, result, listQuery);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/tasks/export
+// @desc    Download the task list as CSV or XLSX.
+//          Query: format (csv, xlsx) and the filters, search and sort of GET /api/tasks
+// @access  Private
+router.get('/export', protect, requirePermission('tasks:read'), validate({ query: exportQuerySchema }), async (req, res, next) => {
+  try {
+    const listQuery = parseListQuery(req.query, TASK_LIST_OPTIONS);
+    if (listQuery.error) {
+      return next(new ValidationError(listQuery.error));
+    }
+
+    // Exports ignore pagination and hold every matching task
+    const scope = await clientScopeFilter(req);
+    const { items, total } = await findList(Task, scope, { ...listQuery, paginated: false }, (query) => {
+      return query
+        .select('title status priority deadline client assignee createdBy createdAt')
+        .populate('client', 'name email')
+        .populate('assignee', 'name')
+        .populate('createdBy', 'name')
+        .limit(MAX_EXPORT_ROWS);
+    });
+    if (total > MAX_EXPORT_ROWS) {
+      return next(new UnprocessableError(`Export at most ${MAX_EXPORT_ROWS} tasks at a time; narrow the filters`, 'EXPORT_TOO_LARGE'));
+    }
+
+    await sendSpreadsheet(res, req.query.format, 'tasks', EXPORT_COLUMNS, items);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/bulk
+// @desc    Create the same task for many clients. Body: title, description, deadline, priority,
+//          assigneeId, checklist, and clientIds or tag (clients whose profile has the tag).
+//          Clients are only notified when notifyClients is true.
+// @access  Private/Staff
+router.post('/bulk', protect, requirePermission('tasks:create'), validate({ body: bulkCreateSchema }), async (req, res, next) => {
+  try {
+    const { title, description, deadline, priority, checklist = [], notifyClients = false } = req.body;
+
+    const { clients, errors } = await findBulkClients(req, req.body);
+    if (clients.length > MAX_BULK_TASKS) {
+      return next(new UnprocessableError(`Create at most ${MAX_BULK_TASKS} tasks at a time`, 'BULK_TOO_LARGE'));
+    }
+
+    // The assignee is checked once, then against each client's assigned staff
+    let assignee = null;
+    let assigneeSeesAll = false;
+    if (req.body.assigneeId) {
+      assignee = await findStaffMember(req.body.assigneeId);
+      assigneeSeesAll = (await Role.getPermissions(assignee.role)).includes('clients:all');
+    }
+
+    const taskClients = clients.filter((client) => {
+      if (!assignee || assigneeSeesAll || client.assignedStaff.some((id) => id.equals(assignee._id))) return true;
+      const error = notAssignedToClient();
+      errors.push({ id: client._id.toString(), code: error.code, message: error.message });
+      return false;
+    });
+
+    // One unordered write for the whole batch rather than a round trip per client;
+    // a task the database refuses is reported like the other per-client errors
+    const { inserted: tasks, failed } = await insertEach(Task, taskClients.map((client) => new Task({
+      title,
+      description,
+      client: client._id,
+      deadline: new Date(deadline),
+      createdBy: req.user._id,
+      assignee: assignee ? assignee._id : undefined,
+      priority,
+      checklist: checklist.map((text) => ({ text })),
+      statusHistory: [{ to: INITIAL_STATUS, changedBy: req.user._id }]
+    })));
+    failed.forEach(({ doc, error }) => {
+      const code = error.name === 'ValidationError' ? 'VALIDATION_ERROR' : 'TASK_NOT_CREATED';
+      errors.push({ id: doc.client.toString(), code, message: error.message || `Task could not be saved (error ${error.code})` });
+    });
+    await recordAudits(req, tasks.map((task) => ({
+      action: 'task.create',
+      entityType: 'Task',
+      entityId: task._id,
+      after: snapshot(task),
+      metadata: { bulk: true }
+    })));
+
+    if (notifyClients) {
+      const clientOf = new Map(taskClients.map((client) => [client._id.toString(), client]));
+      tasks.forEach((task) => {
+        notifyInBackground('task.created', [clientOf.get(task.client.toString())], {
+          title,
+          deadline: task.deadline,
+          description
+        }, { type: 'Task', id: task._id });
+      });
+    }
+
+    // The assignee hears about the batch once rather than once per client
+    if (assignee && tasks.length > 0 && !assignee._id.equals(req.user._id)) {
+      notifyInBackground('task.assigned', [assignee], {
+        title,
+        assignedBy: req.user.name,
+        clientName: `${tasks.length} clients`,
+        deadline: new Date(deadline)
+      }, { type: 'Task', id: tasks[0]._id });
+    }
+
+    res.status(tasks.length > 0 ? 201 : 200).json({
+      created: tasks.map((task) => ({ _id: task._id, client: task.client })),
+      errors
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/bulk/status
+// @desc    Move several tasks to a status. Body: taskIds, status, note.
+//          Each task is checked against the workflow; those that can't move are reported in errors.
+// @access  Private
+router.post('/bulk/status', protect, requirePermission('tasks:update'), validate({ body: bulkStatusSchema }), async (req, res, next) => {
+  try {
+    const { taskIds, status, note } = req.body;
+
+    const workflow = await Workflow.getWorkflow();
+    if (!isStatus(workflow, status)) {
+      return next(new UnprocessableError(`Unknown status: ${status}`, 'UNKNOWN_STATUS'));
+    }
+
+    const { tasks, errors } = await findBulkTasks(req, taskIds);
+    const updated = [];
+    for (const task of tasks) {
+      if (task.status === status) {
+        errors.push({ id: task._id.toString(), code: 'STATUS_UNCHANGED', message: `Task is already ${task.status}` });
+        continue;
+      }
+
+      const before = snapshot(task);
+      const previousStatus = task.status;
+      try {
+        await applyStatusChange(req, task, status, note);
+      } catch (error) {
+        if (!(error instanceof ForbiddenError)) throw error;
+        errors.push({ id: task._id.toString(), code: error.code, message: error.message });
+        continue;
+      }
+      await task.save();
+      await recordAudit(req, { action: 'task.update', entityType: 'Task', entityId: task._id, before, after: snapshot(task), metadata: { bulk: true } });
+      await afterStatusChange(req, task, previousStatus);
+      updated.push(task._id);
+    }
+
+    res.json({ updated, errors });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/bulk/delete
+// @desc    Move several tasks to the trash. Body: taskIds
+// @access  Private/Staff
+router.post('/bulk/delete', protect, requirePermission('tasks:delete'), validate({ body: bulkDeleteSchema }), async (req, res, next) => {
+  try {
+    const { tasks, errors } = await findBulkTasks(req, req.body.taskIds);
+
+    for (const task of tasks) {
+      const before = snapshot(task);
+      await softDeleteRecord(task, req.user);
+      await recordAudit(req, { action: 'task.delete', entityType: 'Task', entityId: task._id, before, after: snapshot(task), metadata: { bulk: true } });
+    }
+
+    res.json({ deleted: tasks.map((task) => task._id), errors });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   GET /api/tasks/:id
 // @desc    Get task by ID
 // @access  Private
-router.get('/:id', protect, async (req, res) => {
+router.get('/:id', protect, requirePermission('tasks:read'), validate({ params: idParams }), async (req, res, next) => {
   try {
     const task = await Task.findById(req.params.id)
       .populate('client', 'name email phone')
-      .populate('createdBy', 'name');
+      .populate('createdBy', 'name')
+      .populate('assignee', 'name email')
+      .populate('statusHistory.changedBy', 'name');
     
     if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
+      return next(new NotFoundError('Task not found'));
     }
     
     // Check if user is authorized to view this task
-    if (req.user.role !== 'admin' && task.client._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to access this task' });
+    if (!(await canAccessClient(req, task.client._id))) {
+      return next(new ForbiddenError('Not authorized to access this task'));
     }
     
     res.json(task);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   POST /api/tasks
-// @desc    Create a new task
-// @access  Private/Admin
-router.post('/', protect, authorize('admin'), async (req, res) => {
+// @desc    Create a new task (pass `recurrence` to start a recurring series)
+// @access  Private/Staff
+router.post('/', protect, requirePermission('tasks:create'), validate({ body: createTaskSchema }), async (req, res, next) => {
   try {
-    const { title, description, clientId, deadline } = req.body;
+    const { title, description, clientId, deadline, priority, checklist = [] } = req.body;
     
     // Validate client exists
     const client = await User.findById(clientId);
-    if (!client || client.role !== 'client') {
-      return res.status(404).json({ message: 'Client not found' });
+    if (!client || client.role !== 'client' || !(await canAccessClient(req, client._id))) {
+      return next(new NotFoundError('Client not found'));
+    }
+    
+    const assignee = req.body.assigneeId ? await findAssignee(req.body.assigneeId, client._id) : null;
+    
+    // The first occurrence of a recurring task identifies its series
+    const taskId = new mongoose.Types.ObjectId();
+    let series = {};
+    if (req.body.recurrence) {
+      const { recurrence, error } = normalizeRecurrence(req.body.recurrence, new Date(deadline));
+      if (error) {
+        return next(new ValidationError(error));
+      }
+      series = { recurrence, seriesId: taskId, occurrence: 1 };
     }
     
     const task = await Task.create({
+      _id: taskId,
       title,
       description,
       client: clientId,
       deadline: new Date(deadline),
-      createdBy: req.user._id
+      createdBy: req.user._id,
+      assignee: assignee ? assignee._id : undefined,
+      priority,
+      checklist: checklist.map((text) => ({ text })),
+      statusHistory: [{ to: INITIAL_STATUS, changedBy: req.user._id }],
+      ...series
     });
+    await recordAudit(req, { action: 'task.create', entityType: 'Task', entityId: task._id, after: snapshot(task) });
     
-    // Send WhatsApp notification to client
-    const notificationMessage = `New task assigned: ${title}\nDeadline: ${new Date(deadline).toLocaleDateString()}\nDescription: ${description}`;
-    await sendWhatsAppNotification(client.phone, notificationMessage);
+    // Notify the client without holding up the response
+    notifyInBackground('task.created', [client], {
+      title,
+      deadline: task.deadline,
+      description
+    }, { type: 'Task', id: task._id });
+    if (assignee) {
+      notifyAssignee(req, task, assignee, client);
+    }
     
     res.status(201).json(task);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   PUT /api/tasks/:id
-// @desc    Update task
+// @desc    Update task (staff may pass ?scope=series to also update later open occurrences).
+//          A status change must be allowed by the workflow for the user's role.
 // @access  Private
-router.put('/:id', protect, async (req, res) => {
+router.put('/:id', protect, requirePermission('tasks:update'), validate(updateTaskSchema), async (req, res, next) => {
   try {
-    const task = await Task.findById(req.params.id);
+    const task = await findAccessibleTask(req);
     
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
+    const before = snapshot(task);
+    const previousStatus = task.status;
+    const previousAssignee = task.assignee;
+    const seriesUpdate = {};
+    
+    if (req.body.status && req.body.status !== task.status) {
+      await applyStatusChange(req, task, req.body.status, req.body.statusNote);
     }
     
-    // Admin can update any task, client can only update status of their own tasks
-    if (req.user.role === 'client') {
-      if (task.client.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ message: 'Not authorized to update this task' });
-      }
-      
-      // Clients can only update the status
-      task.status = req.body.status || task.status;
-    } else {
-      // Admin can update all fields
+    // Staff can update all fields, clients only the status of their own tasks
+    if (isStaff(req)) {
       task.title = req.body.title || task.title;
       task.description = req.body.description || task.description;
-      task.status = req.body.status || task.status;
       task.deadline = req.body.deadline ? new Date(req.body.deadline) : task.deadline;
+      task.priority = req.body.priority || task.priority;
       
       if (req.body.clientId) {
         const client = await User.findById(req.body.clientId);
-        if (!client || client.role !== 'client') {
-          return res.status(404).json({ message: 'Client not found' });
+        if (!client || client.role !== 'client' || !(await canAccessClient(req, client._id))) {
+          return next(new NotFoundError('Client not found'));
         }
         task.client = req.body.clientId;
       }
+      
+      if (req.body.assigneeId !== undefined) {
+        task.assignee = req.body.assigneeId ? (await findAssignee(req.body.assigneeId, task.client))._id : undefined;
+      }
+      
+      if (req.body.recurrence !== undefined) {
+        if (!task.seriesId) {
+          return next(notRecurring());
+        }
+        const { recurrence, error } = normalizeRecurrence(req.body.recurrence, task.deadline);
+        if (error) {
+          return next(new ValidationError(error));
+        }
+        task.recurrence = recurrence;
+      }
+      
+      if (req.query.scope === 'series') {
+        if (!task.seriesId) {
+          return next(notRecurring());
+        }
+        ['title', 'description', 'client', 'assignee', 'priority', 'recurrence'].forEach((field) => {
+          seriesUpdate[field] = task[field];
+        });
+      }
     }
     
     const updatedTask = await task.save();
+    await recordAudit(req, { action: 'task.update', entityType: 'Task', entityId: task._id, before, after: snapshot(updatedTask) });
     
-    // If status changed to completed, send notification
-    if (req.body.status === 'completed' && task.status !== 'completed') {
-      const client = await User.findById(task.client);
-      const notificationMessage = `Task completed: ${task.title}`;
-      await sendWhatsAppNotification(client.phone, notificationMessage);
+    // Apply series-wide edits to the later occurrences that are still open
+    if (Object.keys(seriesUpdate).length > 0) {
+      const result = await Task.updateMany(
+        { seriesId: task.seriesId, occurrence: { $gt: task.occurrence }, status: { $ne: COMPLETED_STATUS } },
+        { $set: seriesUpdate }
+      );
+      await recordAudit(req, {
+        action: 'task.update_series',
+        entityType: 'Task',
+        entityId: task._id,
+        metadata: { seriesId: task.seriesId, fields: Object.keys(seriesUpdate), updated: result.modifiedCount }
+      });
+    }
+    
+    if (updatedTask.status !== previousStatus) {
+      await afterStatusChange(req, updatedTask, previousStatus);
+    }
+    if (updatedTask.assignee && String(updatedTask.assignee) !== String(previousAssignee)) {
+      const [assignee, client] = await Promise.all([User.findById(updatedTask.assignee), User.findById(updatedTask.client)]);
+      notifyAssignee(req, updatedTask, assignee, client);
     }
     
     res.json(updatedTask);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
+  }
+});
+
+// @route   GET /api/tasks/:id/transitions
+// @desc    Statuses the current user may move the task to next
+// @access  Private
+router.get('/:id/transitions', protect, requirePermission('tasks:read'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const task = await findAccessibleTask(req);
+    const workflow = await Workflow.getWorkflow();
+    const allowed = allowedTransitions(workflow, task.status, req.user.role);
+
+    res.json({
+      status: task.status,
+      transitions: workflow.statuses.filter((status) => allowed.includes(status.key))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/:id/status
+// @desc    Move a task to another status, if the workflow allows it for the user's role.
+//          Body: status, note
+// @access  Private
+router.post('/:id/status', protect, requirePermission('tasks:update'), validate(changeStatusSchema), async (req, res, next) => {
+  try {
+    const task = await findAccessibleTask(req);
+
+    if (req.body.status === task.status) {
+      return next(new ConflictError(`Task is already ${task.status}`, 'STATUS_UNCHANGED'));
+    }
+
+    const before = snapshot(task);
+    const previousStatus = task.status;
+    await applyStatusChange(req, task, req.body.status, req.body.note);
+    await task.save();
+    await recordAudit(req, { action: 'task.update', entityType: 'Task', entityId: task._id, before, after: snapshot(task) });
+    await afterStatusChange(req, task, previousStatus);
+
+    res.json(task);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/:id/checklist
+// @desc    Add an item to a task's checklist. Body: text
+// @access  Private/Staff
+router.post('/:id/checklist', protect, requirePermission('tasks:update'), validate(addChecklistItemSchema), async (req, res, next) => {
+  try {
+    if (!isStaff(req)) {
+      return next(new ForbiddenError('Not authorized to change the checklist'));
+    }
+    const task = await findAccessibleTask(req);
+
+    task.checklist.push({ text: req.body.text });
+    await task.save();
+    await recordAudit(req, { action: 'task.checklist_add', entityType: 'Task', entityId: task._id, metadata: { text: req.body.text } });
+
+    res.status(201).json(task.checklist);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/tasks/:id/checklist/:itemId
+// @desc    Edit a checklist item or tick it off. Body: text, done
+// @access  Private/Staff
+router.put('/:id/checklist/:itemId', protect, requirePermission('tasks:update'), validate(updateChecklistItemSchema), async (req, res, next) => {
+  try {
+    if (!isStaff(req)) {
+      return next(new ForbiddenError('Not authorized to change the checklist'));
+    }
+    const task = await findAccessibleTask(req);
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return next(new NotFoundError('Checklist item not found'));
+    }
+
+    if (req.body.text !== undefined) {
+      item.text = req.body.text;
+    }
+    if (req.body.done !== undefined && req.body.done !== item.done) {
+      item.done = req.body.done;
+      item.doneBy = req.body.done ? req.user._id : undefined;
+      item.doneAt = req.body.done ? new Date() : undefined;
+    }
+    await task.save();
+    await recordAudit(req, {
+      action: 'task.checklist_update',
+      entityType: 'Task',
+      entityId: task._id,
+      metadata: { item: item._id, text: item.text, done: item.done }
+    });
+
+    res.json(task.checklist);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tasks/:id/checklist/:itemId
+// @desc    Remove a checklist item
+// @access  Private/Staff
+router.delete('/:id/checklist/:itemId', protect, requirePermission('tasks:update'), validate({ params: checklistItemParams }), async (req, res, next) => {
+  try {
+    if (!isStaff(req)) {
+      return next(new ForbiddenError('Not authorized to change the checklist'));
+    }
+    const task = await findAccessibleTask(req);
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return next(new NotFoundError('Checklist item not found'));
+    }
+
+    item.deleteOne();
+    await task.save();
+    await recordAudit(req, { action: 'task.checklist_remove', entityType: 'Task', entityId: task._id, metadata: { item: item._id, text: item.text } });
+
+    res.json(task.checklist);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/tasks/:id/series
+// @desc    Get every occurrence in a task's recurring series
+// @access  Private
+router.get('/:id/series', protect, requirePermission('tasks:read'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    
+    if (!task) {
+      return next(new NotFoundError('Task not found'));
+    }
+    
+    if (!(await canAccessClient(req, task.client))) {
+      return next(new ForbiddenError('Not authorized to access this task'));
+    }
+    
+    if (!task.seriesId) {
+      return next(notRecurring());
+    }
+    
+    const occurrences = await Task.find({ seriesId: task.seriesId })
+      .sort({ occurrence: 1 })
+      .populate('createdBy', 'name');
+    
+    res.json(occurrences);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/:id/series/end
+// @desc    End a recurring series so no further occurrences are generated
+// @access  Private/Staff
+router.post('/:id/series/end', protect, requirePermission('tasks:update'), validate(endSeriesSchema), async (req, res, next) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    
+    if (!task) {
+      return next(new NotFoundError('Task not found'));
+    }
+    
+    if (req.user.role === CLIENT_ROLE || !(await canAccessClient(req, task.client))) {
+      return next(new ForbiddenError('Not authorized to update this task'));
+    }
+    
+    if (!task.seriesId) {
+      return next(notRecurring());
+    }
+    
+    const endedAt = new Date();
+    await Task.updateMany({ seriesId: task.seriesId }, { $set: { 'recurrence.endedAt': endedAt } });
+    
+    // Optionally move open occurrences scheduled after this one to the trash
+    let removed = 0;
+    if (req.body.removeUpcoming) {
+      const upcoming = await Task.find({
+        seriesId: task.seriesId,
+        occurrence: { $gt: task.occurrence },
+        status: { $ne: COMPLETED_STATUS }
+      });
+      for (const occurrence of upcoming) {
+        const before = snapshot(occurrence);
+        await softDeleteRecord(occurrence, req.user);
+        await recordAudit(req, { action: 'task.delete', entityType: 'Task', entityId: occurrence._id, before, after: snapshot(occurrence) });
+      }
+      removed = upcoming.length;
+    }
+    
+    await recordAudit(req, {
+      action: 'task.end_series',
+      entityType: 'Task',
+      entityId: task._id,
+      metadata: { seriesId: task.seriesId, endedAt, removed }
+    });
+    
+    res.json({ message: 'Series ended', endedAt, removed });
+  } catch (error) {
+    next(error);
   }
 });
 
 // @route   DELETE /api/tasks/:id
-// @desc    Delete task
-// @access  Private/Admin
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @desc    Move a task to the trash
+// @access  Private/Staff
+router.delete('/:id', protect, requirePermission('tasks:delete'), validate({ params: idParams }), async (req, res, next) => {
   try {
     const task = await Task.findById(req.params.id);
     
     if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
+      return next(new NotFoundError('Task not found'));
     }
     
-    // Updated to use deleteOne instead of remove
-    await Task.deleteOne({ _id: task._id });
-    res.json({ message: 'Task removed' });
+    if (!(await canAccessClient(req, task.client))) {
+      return next(new ForbiddenError('Not authorized to delete this task'));
+    }
+    
+    const before = snapshot(task);
+    await softDeleteRecord(task, req.user);
+    await recordAudit(req, { action: 'task.delete', entityType: 'Task', entityId: task._id, before, after: snapshot(task) });
+    res.json({ message: 'Task moved to trash' });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
+// Discussion thread: /api/tasks/:id/comments
+router.use('/:id/comments', require('./comments'));
+
+// Files asked of the client: /api/tasks/:id/document-requests
+router.use('/:id/document-requests', require('./documentRequests'));
+
 module.exports = router;
\ No newline at end of file
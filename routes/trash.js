@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Document = require('../models/Document');
+const { protect, requirePermission, hasPermission } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { clientScopeFilter, canAccessClient } = require('../utils/access');
+const { CLIENT_ROLE } = require('../utils/permissions');
+const { parseListQuery, findList, sendList } = require('../utils/query');
+const { recordAudit, snapshot } = require('../utils/audit');
+const {
+  purgeDate,
+  restoreRecord,
+  restoreDocument,
+  restoreClient,
+  purgeTask,
+  purgeDocument,
+  purgeClient
+} = require('../utils/trash');
+const { Joi, objectId, listQuerySchema } = require('../utils/validation');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// What can be in the trash, and the permission needed to see, restore or purge it
+const TRASH_TYPES = {
+  clients: {
+    Model: User,
+    entity: 'client',
+    entityType: 'User',
+    permission: 'clients:delete',
+    clientField: '_id',
+    baseFilter: { role: CLIENT_ROLE },
+    select: 'name email phone role deletedAt deletedBy deletedWith',
+    restore: restoreClient,
+    purge: purgeClient
+  },
+  tasks: {
+    Model: Task,
+    entity: 'task',
+    entityType: 'Task',
+    permission: 'tasks:delete',
+    clientField: 'client',
+    baseFilter: {},
+    restore: restoreRecord,
+    purge: purgeTask
+  },
+  documents: {
+    Model: Document,
+    entity: 'document',
+    entityType: 'Document',
+    permission: 'documents:delete',
+    clientField: 'client',
+    baseFilter: {},
+    select: '-fileData -versions',
+    restore: restoreDocument,
+    purge: purgeDocument
+  }
+};
+
+const TRASH_LIST_OPTIONS = {
+  filters: {
+    deleted: { field: 'deletedAt', type: 'dateRange' },
+    deletedBy: { field: 'deletedBy', type: 'objectId' }
+  },
+  sort: ['deletedAt'],
+  defaultSort: '-deletedAt'
+};
+
+const trashType = () => Joi.string().valid(...Object.keys(TRASH_TYPES))
+  .messages({ 'any.only': `Type must be one of ${Object.keys(TRASH_TYPES).join(', ')}` });
+
+const trashQuerySchema = listQuerySchema(TRASH_LIST_OPTIONS, { type: trashType().required() });
+
+const trashParams = Joi.object({
+  type: trashType().required(),
+  id: objectId().required()
+});
+
+// Resolve the validated type and check the permission for it, or throw a 403
+const resolveType = async (req) => {
+  const type = TRASH_TYPES[req.params.type || req.query.type];
+
+  if (!(await hasPermission(req, type.permission))) {
+    throw new ForbiddenError(`User role ${req.user.role} is missing permission: ${type.permission}`, 'MISSING_PERMISSION');
+  }
+
+  return type;
+};
+
+// Load a trashed record the current user may access, or throw a 404
+const findTrashedRecord = async (req, type) => {
+  const record = await type.Model.findOne({ _id: req.params.id, ...type.baseFilter, deletedAt: { $ne: null } });
+
+  if (!record || !(await canAccessClient(req, record[type.clientField]))) {
+    throw new NotFoundError('Item not found in trash');
+  }
+
+  return record;
+};
+
+// @route   GET /api/trash?type=clients|tasks|documents
+// @desc    Get deleted records of one type with the date each will be purged
+//          Query: deletedFrom/To, deletedBy, sort, page/limit or cursor
+// @access  Private
+router.get('/', protect, validate({ query: trashQuerySchema }), async (req, res, next) => {
+  try {
+    const type = await resolveType(req);
+
+    const listQuery = parseListQuery(req.query, TRASH_LIST_OPTIONS);
+    if (listQuery.error) {
+      return next(new ValidationError(listQuery.error));
+    }
+
+    const scope = await clientScopeFilter(req, type.clientField);
+    const filter = { ...type.baseFilter, ...scope, deletedAt: { $ne: null } };
+    const result = await findList(type.Model, filter, listQuery, (query) => {
+      if (type.select) {
+        query.select(type.select);
+      }
+      return query.populate('deletedBy', 'name');
+    });
+
+    result.items = result.items.map((item) => ({ ...item, purgeAt: purgeDate(item.deletedAt) }));
+    sendList(res, result, listQuery);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/trash/:type/:id/restore
+// @desc    Restore a deleted record (a client comes back with the tasks and documents deleted with them)
+// @access  Private
+router.post('/:type/:id/restore', protect, validate({ params: trashParams }), async (req, res, next) => {
+  try {
+    const type = await resolveType(req);
+    const record = await findTrashedRecord(req, type);
+
+    // Tasks and documents can't come back while their client is in the trash
+    if (type.clientField !== '_id' && !(await User.exists({ _id: record.client }))) {
+      return next(new ConflictError('Restore the client first', 'CLIENT_IN_TRASH'));
+    }
+
+    const before = snapshot(record);
+    await type.restore(record);
+    await recordAudit(req, {
+      action: `${type.entity}.restore`,
+      entityType: type.entityType,
+      entityId: record._id,
+      before,
+      after: snapshot(record)
+    });
+
+    res.json({ message: 'Restored', _id: record._id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/trash/:type/:id
+// @desc    Permanently delete a record from the trash without waiting for the retention period
+// @access  Private/Admin
+router.delete('/:type/:id', protect, requirePermission('trash:purge'), validate({ params: trashParams }), async (req, res, next) => {
+  try {
+    const type = await resolveType(req);
+    const record = await findTrashedRecord(req, type);
+
+    await type.purge(record);
+    await recordAudit(req, {
+      action: `${type.entity}.purge`,
+      entityType: type.entityType,
+      entityId: record._id,
+      before: snapshot(record)
+    });
+
+    res.json({ message: 'Permanently deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+const express = require('express');
+const router = express.Router();
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { protect, protectEnrollment, requirePermission } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { recordAudit } = require('../utils/audit');
+const {
+  generateSecret,
+  verifyCode,
+  otpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateBackupCodes,
+  hashBackupCode
+} = require('../utils/totp');
+const { Joi, objectId } = require('../utils/validation');
+const {
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  UnprocessableError
+} = require('../utils/errors');
+
+// Mounted under /api/auth/2fa
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+const code = () => Joi.string().trim().max(20);
+
+const setupSchema = Joi.object({
+  password: Joi.string().max(128).required()
+});
+
+const enableSchema = Joi.object({
+  code: code().required()
+});
+
+const disableSchema = Joi.object({
+  password: Joi.string().max(128).required(),
+  code: code().required()
+});
+
+const backupCodesSchema = Joi.object({
+  code: code().required()
+});
+
+// Reload the current user with the two-factor secrets, which are never selected by default
+const loadWithSecrets = (req) => User.findById(req.user._id).select(SECRET_FIELDS);
+
+// Throw unless the code is a valid TOTP or unused backup code for the user
+const requireSecondFactor = async (user, value) => {
+  const method = await user.verifySecondFactor(value);
+  if (!method) {
+    throw new UnauthorizedError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
+  }
+  return method;
+};
+
+const newBackupCodes = () => {
+  const codes = generateBackupCodes();
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+// @route   GET /api/auth/2fa
+// @desc    Two-factor status of the current user
+// @access  Private
+router.get('/', protectEnrollment, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.backupCodes');
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: await Role.requiresTwoFactor(user.role),
+      backupCodesRemaining: user.twoFactor.enabled ? user.twoFactor.backupCodes.length : 0
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment: returns a new secret and its otpauth:// URI for an authenticator app.
+//          Body: password
+// @access  Private
+router.post('/setup', protectEnrollment, validate({ body: setupSchema }), async (req, res, next) => {
+  try {
+    const user = await loadWithSecrets(req);
+
+    if (user.twoFactor.enabled) {
+      return next(new ConflictError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED'));
+    }
+    if (!(await user.comparePassword(req.body.password))) {
+      return next(new UnauthorizedError('Invalid password', 'INVALID_CREDENTIALS'));
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.json({ secret, otpauthUri: otpauthUri(secret, user.email) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the authenticator app. Returns the backup codes,
+//          which are shown only once. Body: code
+// @access  Private
+router.post('/enable', protectEnrollment, validate({ body: enableSchema }), async (req, res, next) => {
+  try {
+    const user = await loadWithSecrets(req);
+
+    if (user.twoFactor.enabled) {
+      return next(new ConflictError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED'));
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return next(new UnprocessableError('Start two-factor setup first', 'TWO_FACTOR_SETUP_NOT_STARTED'));
+    }
+
+    const step = verifyCode(decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+    if (step === null) {
+      return next(new UnauthorizedError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE'));
+    }
+
+    const backupCodes = newBackupCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodes = backupCodes.hashes;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    await recordAudit(req, { action: 'auth.two_factor_enable', entityType: 'User', entityId: user._id });
+
+    res.json({ enabled: true, backupCodes: backupCodes.codes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off. Body: password, code (TOTP or backup code)
+// @access  Private
+router.post('/disable', protect, validate({ body: disableSchema }), async (req, res, next) => {
+  try {
+    const user = await loadWithSecrets(req);
+
+    if (!user.twoFactor.enabled) {
+      return next(new ConflictError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED'));
+    }
+    if (await Role.requiresTwoFactor(user.role)) {
+      return next(new ForbiddenError('Your role requires two-factor authentication', 'TWO_FACTOR_REQUIRED'));
+    }
+    if (!(await user.comparePassword(req.body.password))) {
+      return next(new UnauthorizedError('Invalid password', 'INVALID_CREDENTIALS'));
+    }
+    await requireSecondFactor(user, req.body.code);
+
+    await user.disableTwoFactor();
+    await recordAudit(req, { action: 'auth.two_factor_disable', entityType: 'User', entityId: user._id });
+
+    res.json({ enabled: false });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace the backup codes; the old ones stop working. Body: code (TOTP or backup code)
+// @access  Private
+router.post('/backup-codes', protect, validate({ body: backupCodesSchema }), async (req, res, next) => {
+  try {
+    const user = await loadWithSecrets(req);
+
+    if (!user.twoFactor.enabled) {
+      return next(new ConflictError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED'));
+    }
+    await requireSecondFactor(user, req.body.code);
+
+    const backupCodes = newBackupCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.backupCodes': backupCodes.hashes } });
+    await recordAudit(req, { action: 'auth.two_factor_backup_codes', entityType: 'User', entityId: user._id });
+
+    res.json({ backupCodes: backupCodes.codes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/2fa/users/:userId
+// @desc    Reset another user's two-factor authentication, e.g. after a lost device.
+//          They must enroll again if their role requires it.
+// @access  Private/Admin
+router.delete('/users/:userId', protect, requirePermission('roles:manage'), validate({ params: Joi.object({ userId: objectId().required() }) }), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return next(new NotFoundError('User not found'));
+    }
+
+    await user.disableTwoFactor();
+    await recordAudit(req, { action: 'auth.two_factor_reset', entityType: 'User', entityId: user._id });
+
+    res.json({ message: 'Two-factor authentication reset' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
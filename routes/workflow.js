@@ -0,0 +1,114 @@
+const express = require('express');
+const router = express.Router();
+const Role = require('../models/Role');
+const Task = require('../models/Task');
+const Workflow = require('../models/Workflow');
+const { protect, requirePermission } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { ALL_STAFF, DEFAULT_WORKFLOW, checkWorkflow } = require('../utils/workflow');
+const { Joi } = require('../utils/validation');
+const { ValidationError, ConflictError, UnprocessableError } = require('../utils/errors');
+
+// Mounted under /api/tasks/workflow
+
+const statusKey = () => Joi.string().trim().pattern(/^[a-z][a-z0-9_]*$/, 'status key').max(50);
+
+const workflowSchema = Joi.object({
+  statuses: Joi.array().items(Joi.object({
+    key: statusKey().required(),
+    label: Joi.string().trim().min(1).max(100).required()
+  })).min(2).max(30).required(),
+  transitions: Joi.array().items(Joi.object({
+    from: statusKey().required(),
+    to: statusKey().required(),
+    roles: Joi.array().items(Joi.string().trim().lowercase().max(50)).unique()
+  })).max(200).required()
+});
+
+// Refuse to drop statuses that tasks are still in
+const checkStatusesInUse = async (statuses) => {
+  const inUse = await Task.distinct('status', { status: { $nin: statuses.map((status) => status.key) } });
+  if (inUse.length > 0) {
+    throw new ConflictError(`Tasks are still in status: ${inUse.join(', ')}`, 'STATUS_IN_USE');
+  }
+};
+
+// @route   GET /api/tasks/workflow
+// @desc    Get the task statuses and the transitions allowed between them
+// @access  Private
+router.get('/', protect, requirePermission('tasks:read'), async (req, res, next) => {
+  try {
+    res.json(await Workflow.getWorkflow());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/tasks/workflow
+// @desc    Replace the task workflow. Body: statuses [{ key, label }], transitions [{ from, to, roles }].
+//          'pending' and 'completed' must stay; a transition without roles is open to all staff.
+// @access  Private/Admin
+router.put('/', protect, requirePermission('workflow:manage'), validate({ body: workflowSchema }), async (req, res, next) => {
+  try {
+    const problems = checkWorkflow(req.body);
+    if (problems.length > 0) {
+      return next(new ValidationError(problems[0], problems.map((message) => ({ location: 'body', message }))));
+    }
+
+    const roles = await Role.getAll();
+    const unknownRole = req.body.transitions
+      .flatMap((transition) => transition.roles || [])
+      .find((role) => role !== ALL_STAFF && !roles[role]);
+    if (unknownRole) {
+      return next(new UnprocessableError(`Unknown role: ${unknownRole}`, 'UNKNOWN_ROLE'));
+    }
+
+    await checkStatusesInUse(req.body.statuses);
+
+    const workflow = (await Workflow.findOne()) || new Workflow();
+    const before = await Workflow.getWorkflow();
+    workflow.statuses = req.body.statuses;
+    workflow.transitions = req.body.transitions;
+    workflow.updatedBy = req.user._id;
+    workflow.updatedAt = new Date();
+    await workflow.save();
+    await recordAudit(req, {
+      action: 'workflow.update',
+      entityType: 'Workflow',
+      entityId: workflow._id,
+      before: { statuses: before.statuses, transitions: before.transitions },
+      after: { statuses: req.body.statuses, transitions: req.body.transitions }
+    });
+
+    res.json(await Workflow.getWorkflow());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tasks/workflow
+// @desc    Go back to the built-in workflow
+// @access  Private/Admin
+router.delete('/', protect, requirePermission('workflow:manage'), async (req, res, next) => {
+  try {
+    const workflow = await Workflow.findOne();
+    if (workflow) {
+      await checkStatusesInUse(DEFAULT_WORKFLOW.statuses);
+      await Workflow.deleteOne({ _id: workflow._id });
+      Workflow.clearCache();
+      await recordAudit(req, {
+        action: 'workflow.reset',
+        entityType: 'Workflow',
+        entityId: workflow._id,
+        before: snapshot(workflow)
+      });
+    }
+
+    res.json(await Workflow.getWorkflow());
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+// Moves legacy inline Document.fileData blobs into the configured storage backend.
+// Usage: npm run migrate:files [-- --dry-run]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { Readable } = require('stream');
+const Document = require('../models/Document');
+const { getStorage, getDriverName, generateKey } = require('../utils/storage');
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const driver = getDriverName();
+  const storage = getStorage(driver);
+  const cursor = Document.find({ fileData: { $exists: true } }).select('+fileData').cursor();
+
+  let migrated = 0;
+  let failed = 0;
+
+  for await (const document of cursor) {
+    // A legacy document given a new version since then already has its current file in
+    // storage; the inline blob is then only the file of the version entries without a key
+    const legacyVersions = document.versions.filter((version) => !version.storageKey);
+    const currentIsLegacy = !document.storageKey;
+    if (!currentIsLegacy && legacyVersions.length === 0) {
+      console.log(`Skipped ${document._id}: no version refers to its inline file`);
+      continue;
+    }
+
+    const { fileType, mimeType } = currentIsLegacy ? document : legacyVersions[0];
+    const key = generateKey(`${document.name}.${fileType}`);
+
+    if (dryRun) {
+      console.log(`Would migrate ${document._id} (${document.fileData.length} bytes) to ${driver}:${key}`);
+      migrated++;
+      continue;
+    }
+
+    try {
+      await storage.put(key, Readable.from(document.fileData), { contentType: mimeType });
+
+      // Version history entries recorded before migration point at the same inline file
+      legacyVersions.forEach((version) => {
+        version.storageKey = key;
+        version.storageDriver = driver;
+        version.size = document.fileData.length;
+      });
+      if (currentIsLegacy) {
+        document.storageKey = key;
+        document.storageDriver = driver;
+        document.size = document.fileData.length;
+      }
+      document.fileData = undefined;
+      await document.save();
+      migrated++;
+      console.log(`Migrated ${document._id} to ${driver}:${key}`);
+    } catch (error) {
+      failed++;
+      console.error(`Failed to migrate ${document._id}:`, error.message);
+      await storage.remove(key).catch(() => {});
+    }
+  }
+
+  console.log(`${dryRun ? 'Dry run: ' : ''}${migrated} migrated, ${failed} failed`);
+  await mongoose.disconnect();
+  process.exitCode = failed > 0 ? 1 : 0;
+};
+
+migrate().catch(async (error) => {
+  console.error('Migration error:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
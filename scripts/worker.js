@@ -0,0 +1,46 @@
+// Runs the scheduled jobs on an interval for local or self-hosted deployments.
+// On Vercel the same jobs are triggered through /api/cron (see vercel.json).
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { generateDueOccurrences } = require('../utils/recurrence');
+const { runDeadlineReminders } = require('../utils/reminders');
+const { processQueue } = require('../utils/notifications');
+const { purgeExpiredTrash } = require('../utils/trash');
+
+const INTERVAL_MS = (Number(process.env.WORKER_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+const runJobs = async () => {
+  try {
+    const created = await generateDueOccurrences();
+    const reminders = await runDeadlineReminders();
+    const notifications = await processQueue();
+    const purged = await purgeExpiredTrash();
+    console.log(`[${new Date().toISOString()}] Recurring tasks created: ${created.length}, reminders:`, reminders, 'notifications:', notifications, 'purged:', purged);
+  } catch (error) {
+    console.error('Worker job error:', error);
+  }
+};
+
+const start = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log('Worker connected to MongoDB');
+
+  await runJobs();
+  const timer = setInterval(runJobs, INTERVAL_MS);
+
+  const shutdown = async () => {
+    clearInterval(timer);
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+start().catch((error) => {
+  console.error('Worker failed to start:', error);
+  process.exit(1);
+});
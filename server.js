@@ -2,19 +2,41 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
+const crypto = require('crypto');
 
 // Load environment variables
 dotenv.config();
 
 const app = express();
 
+// Behind a proxy set TRUST_PROXY to the number of proxy hops, so req.ip is the
+// caller's address for rate limiting and the audit log. Vercel's edge is one hop;
+// without this every caller would share the proxy's address and its rate limits.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+} else if (process.env.VERCEL) {
+  app.set('trust proxy', 1);
+}
+
+const { NotFoundError, ServiceUnavailableError, normalizeError } = require('./utils/errors');
+
 // Middleware
 app.use(cors({
   origin: ['https://management-portal-frontend-three.vercel.app', 'http://localhost:3000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['X-Total-Count', 'X-Unread-Count', 'X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
+
+// Tag every request so an error response can be matched to its log entry
+app.use((req, res, next) => {
+  req.id = req.headers['x-request-id'] || crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+});
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -56,10 +78,7 @@ const connectToDatabase = async (req, res, next) => {
     next();
   } catch (error) {
     console.error('Failed to connect to database on request:', error);
-    return res.status(500).json({ 
-      error: 'Database connection failed', 
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined 
-    });
+    next(new ServiceUnavailableError('Database connection failed', 'DATABASE_UNAVAILABLE'));
   }
 };
 
@@ -69,47 +88,21 @@ app.use(connectToDatabase);
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/clients', require('./routes/clients'));
+app.use('/api/invitations', require('./routes/invitations'));
 app.use('/api/tasks', require('./routes/tasks'));
 app.use('/api/documents', require('./routes/documents'));
+app.use('/api/roles', require('./routes/roles'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/reports', require('./routes/reports'));
+app.use('/api/trash', require('./routes/trash'));
+app.use('/api/cron', require('./routes/cron'));
 
 // Basic route for testing
 app.get('/', (req, res) => {
   res.send('API is running...');
 });
 
-// Enhanced error handling middleware for serverless environment
-app.use((err, req, res, next) => {
-  // Log the full error for serverless logs
-  console.error('Error details:', {
-    message: err.message,
-    stack: err.stack,
-    path: req.path,
-    method: req.method,
-    body: req.body,
-    query: req.query,
-    params: req.params
-  });
-  
-  // Send a detailed error response in development, simplified in production
-  const errorResponse = {
-    message: 'Something went wrong!',
-    error: process.env.NODE_ENV === 'production' ? 'Server error' : err.message,
-    path: req.path,
-    requestId: req.headers['x-request-id'] || 'unknown'
-  };
-  
-  res.status(500).send(errorResponse);
-});
-
-// For local development
-if (process.env.NODE_ENV !== 'production') {
-  const PORT = process.env.PORT || 5000;
-  app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
-}
-
-// Export for serverless
-module.exports = app;
-
 // Add this route to test database connection
 app.get('/api/health', async (req, res) => {
   try {
@@ -127,4 +120,47 @@ app.get('/api/health', async (req, res) => {
       message: error.message
     });
   }
-});
\ No newline at end of file
+});
+
+// Unknown API routes get the same error envelope as everything else
+app.use('/api', (req, res, next) => {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.originalUrl.split('?')[0]}`, 'ROUTE_NOT_FOUND'));
+});
+
+// Every error response has the shape { message, code, details?, requestId }
+app.use((err, req, res, next) => {
+  const error = normalizeError(err);
+
+  // Request bodies and query strings are never logged: they carry passwords and tokens
+  if (error.status >= 500) {
+    const cause = error.cause || err;
+    console.error('Request failed:', {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      user: req.user ? req.user._id.toString() : undefined,
+      message: cause.message,
+      stack: cause.stack
+    });
+  }
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  res.status(error.status).json({
+    message: error.message,
+    code: error.code,
+    details: error.details,
+    requestId: req.id
+  });
+});
+
+// For local development
+if (process.env.NODE_ENV !== 'production') {
+  const PORT = process.env.PORT || 5000;
+  app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+}
+
+// Export for serverless
+module.exports = app;
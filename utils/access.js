@@ -0,0 +1,68 @@
+const User = require('../models/User');
+const Task = require('../models/Task');
+const { hasPermission } = require('../middleware/auth');
+const { CLIENT_ROLE, SUPER_ROLE } = require('./permissions');
+const { ForbiddenError, NotFoundError } = require('./errors');
+
+// Client ids the current user may see, or null when access is unrestricted
+const getAccessibleClientIds = async (req) => {
+  if (req.accessibleClientIds !== undefined) {
+    return req.accessibleClientIds;
+  }
+
+  if (req.user.role === CLIENT_ROLE) {
+    req.accessibleClientIds = [req.user._id];
+  } else if (await hasPermission(req, 'clients:all')) {
+    req.accessibleClientIds = null;
+  } else {
+    // Clients in the trash stay in scope so their staff can list and restore them;
+    // live queries already leave out trashed records
+    const clients = await User.find({ role: CLIENT_ROLE, assignedStaff: req.user._id })
+      .select('_id')
+      .setOptions({ withDeleted: true });
+    req.accessibleClientIds = clients.map((client) => client._id);
+  }
+
+  return req.accessibleClientIds;
+};
+
+// Query filter restricting a collection to accessible clients, e.g. { client: { $in: [...] } }
+const clientScopeFilter = async (req, field = 'client') => {
+  const ids = await getAccessibleClientIds(req);
+  return ids ? { [field]: { $in: ids } } : {};
+};
+
+const canAccessClient = async (req, clientId) => {
+  const ids = await getAccessibleClientIds(req);
+  if (!ids) return true;
+  return ids.some((id) => id.toString() === clientId.toString());
+};
+
+const isStaff = (req) => req.user.role !== CLIENT_ROLE;
+
+// Load the task from the URL (req.params.id) if the current user may access it, or throw a 404/403
+const findAccessibleTask = async (req) => {
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    throw new NotFoundError('Task not found');
+  }
+
+  if (!(await canAccessClient(req, task.client))) {
+    throw new ForbiddenError('Not authorized to access this task');
+  }
+
+  return task;
+};
+
+// Staff responsible for a task: its creator and the client's assigned staff, else the admins
+const findResponsibleStaff = async (task) => {
+  const client = await User.findById(task.client).select('assignedStaff');
+  const ids = [task.createdBy, ...(client ? client.assignedStaff : [])].filter(Boolean);
+
+  const staff = await User.find({ _id: { $in: ids }, role: { $ne: CLIENT_ROLE } });
+  if (staff.length > 0) return staff;
+
+  return User.find({ role: SUPER_ROLE });
+};
+
+module.exports = { getAccessibleClientIds, clientScopeFilter, canAccessClient, isStaff, findAccessibleTask, findResponsibleStaff };
@@ -0,0 +1,78 @@
+const AuditLog = require('../models/AuditLog');
+
+// Never stored in the log, either because they are noise or too large
+const IGNORED_FIELDS = ['__v', 'updatedAt', 'fileData'];
+
+// Recorded as changed, but without their values
+const REDACTED_FIELDS = ['password', 'resetPasswordToken', 'resetPasswordExpires', 'refreshTokenHash', 'twoFactor', 'tokenHash'];
+const REDACTED = '[redacted]';
+
+// Plain JSON copy of a document (or object) for comparing and storing
+const snapshot = (record) => {
+  if (!record) return null;
+  const plain = typeof record.toObject === 'function' ? record.toObject({ depopulate: true, flattenMaps: true }) : record;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Fields that differ between two snapshots as { field: { from, to } }.
+// Pass null as `before` for a creation and as `after` for a deletion.
+const diff = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    if (REDACTED_FIELDS.includes(field)) {
+      changes[field] = { from: from === undefined ? undefined : REDACTED, to: to === undefined ? undefined : REDACTED };
+    } else {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+};
+
+const auditEntry = (req, { action, entityType, entityId, before = null, after = null, actor, metadata }) => {
+  const user = actor || (req && req.user);
+  return {
+    actor: user ? user._id : undefined,
+    actorEmail: user ? user.email : undefined,
+    actorRole: user ? user.role : undefined,
+    action,
+    entityType,
+    entityId,
+    changes: before || after ? diff(before, after) : undefined,
+    metadata,
+    ip: req ? req.ip : undefined,
+    userAgent: req ? req.headers['user-agent'] : undefined
+  };
+};
+
+// Record an audit entry for the current request (null for scheduled jobs).
+// `before` and `after` are snapshots (see snapshot()) of the entity; `actor`
+// defaults to the signed-in user. Failures are logged rather than thrown so they
+// never undo the change that was just made.
+const recordAudit = async (req, entry) => {
+  try {
+    await AuditLog.create(auditEntry(req, entry));
+  } catch (error) {
+    console.error(`Audit log error (${entry.action}):`, error);
+  }
+};
+
+// Record the entries of a bulk operation in one write
+const recordAudits = async (req, entries) => {
+  if (entries.length === 0) return;
+  try {
+    await AuditLog.insertMany(entries.map((entry) => auditEntry(req, entry)));
+  } catch (error) {
+    console.error(`Audit log error (${entries[0].action}):`, error);
+  }
+};
+
+module.exports = { recordAudit, recordAudits, snapshot, diff };
@@ -0,0 +1,32 @@
+// Insert new documents in one unordered write. Each is validated and written on its
+// own, so one refused document (e.g. an email address taken since the rows were
+// checked) doesn't stop the rest. Save hooks don't run. Returns the inserted
+// documents and the refused ones as { doc, error }, where error is the document's
+// ValidationError or the server's write error ({ code, errmsg, keyValue }).
+// Anything else, such as a lost connection, fails the whole write and is thrown.
+const insertEach = async (Model, docs) => {
+  if (docs.length === 0) return { inserted: [], failed: [] };
+
+  try {
+    const inserted = await Model.insertMany(docs, { ordered: false, throwOnValidationError: true });
+    return { inserted, failed: [] };
+  } catch (error) {
+    // Mongoose lists the outcome of each document in error.results: the document
+    // itself when it was written, otherwise its validation or write error
+    const refused = error.name === 'MongooseBulkWriteError' || (Array.isArray(error.writeErrors) && error.writeErrors.length > 0);
+    if (!refused || !Array.isArray(error.results)) throw error;
+
+    const inserted = [];
+    const failed = [];
+    error.results.forEach((result, index) => {
+      if (result instanceof Model) {
+        inserted.push(result);
+      } else {
+        failed.push({ doc: docs[index], error: (result && result.err) || result });
+      }
+    });
+    return { inserted, failed };
+  }
+};
+
+module.exports = { insertEach };
@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+// Symmetric encryption (AES-256-GCM) for values stored in the database. The key is
+// any secret string, stretched to 256 bits; each caller uses its own key.
+const keyFrom = (secret) => {
+  if (!secret) {
+    throw new Error('Encryption key is not set');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+// "iv.tag.ciphertext", each part base64
+const encrypt = (plaintext, secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keyFrom(secret), iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+};
+
+// Throws when the value was encrypted with another key or has been tampered with
+const decrypt = (stored, secret) => {
+  const [iv, tag, encrypted] = stored.split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', keyFrom(secret), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = { encrypt, decrypt };
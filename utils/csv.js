@@ -0,0 +1,82 @@
+const { contentDisposition } = require('./files');
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV text for rows of plain objects. columns is a list of { key, label };
+// nested keys like 'client.name' are read with dots.
+const toCsv = (columns, rows) => {
+  const read = (row, key) => key.split('.').reduce((value, part) => (value == null ? value : value[part]), row);
+
+  const lines = [columns.map((column) => formatCell(column.label || column.key)).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => formatCell(read(row, column.key))).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Parse CSV text (RFC 4180: quoted fields may hold commas, quotes and line breaks)
+// into a list of rows, each a list of cell strings. Blank lines are skipped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+// Send rows as a CSV attachment
+const sendCsv = (res, filename, columns, rows) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', contentDisposition(filename));
+  res.send(toCsv(columns, rows));
+};
+
+module.exports = { toCsv, parseCsv, sendCsv };
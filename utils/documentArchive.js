@@ -0,0 +1,165 @@
+const archiver = require('archiver');
+const { once } = require('events');
+const Document = require('../models/Document');
+const { getStorage } = require('./storage');
+const { toCsv } = require('./csv');
+const { contentDisposition } = require('./files');
+
+// Folder for documents that don't belong to a task
+const GENERAL_FOLDER = 'General';
+
+const MANIFEST_COLUMNS = [
+  { key: 'path', label: 'Path' },
+  { key: 'documentId', label: 'Document ID' },
+  { key: 'name', label: 'Name' },
+  { key: 'client', label: 'Client' },
+  { key: 'task', label: 'Task' },
+  { key: 'version', label: 'Version' },
+  { key: 'fileType', label: 'File type' },
+  { key: 'size', label: 'Bytes' },
+  { key: 'uploadedBy', label: 'Uploaded by' },
+  { key: 'uploadedAt', label: 'Uploaded at' },
+  { key: 'error', label: 'Error' }
+];
+
+// Safe file or folder name inside the archive
+const safeName = (value, fallback) => {
+  const clean = String(value || '').replace(/[\x00-\x1f\x7f/\\:*?"<>|]/g, '_').replace(/^[.\s]+|[.\s]+$/g, '').slice(0, 120);
+  return clean || fallback;
+};
+
+// Hand out unique paths, numbering repeats as "name (2).pdf"
+const uniquePaths = () => {
+  const used = new Set();
+  return (folder, filename) => {
+    const dot = filename.lastIndexOf('.');
+    const [base, extension] = dot > 0 ? [filename.slice(0, dot), filename.slice(dot)] : [filename, ''];
+    let candidate = `${folder}${filename}`;
+    for (let copy = 2; used.has(candidate.toLowerCase()); copy += 1) {
+      candidate = `${folder}${base} (${copy})${extension}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  };
+};
+
+// Name of a document's current file, with its extension
+const documentFilename = (document) => {
+  const extension = `.${document.fileType}`;
+  const name = safeName(document.name, 'document');
+  return name.toLowerCase().endsWith(extension) ? name : `${name}${extension}`;
+};
+
+// Folder of each task, with repeated titles told apart by the task id
+const taskFolders = (documents) => {
+  const tasks = new Map();
+  documents.forEach((document) => {
+    if (document.task) tasks.set(document.task._id.toString(), document.task);
+  });
+
+  const titles = new Map();
+  tasks.forEach((task) => {
+    const title = safeName(task.title, 'Task').toLowerCase();
+    titles.set(title, (titles.get(title) || 0) + 1);
+  });
+
+  const folders = new Map();
+  tasks.forEach((task, id) => {
+    const title = safeName(task.title, 'Task');
+    folders.set(id, titles.get(title.toLowerCase()) > 1 ? `${title} (${id.slice(-6)})` : title);
+  });
+  return folders;
+};
+
+// Readable stream of a document's current file; legacy documents carry their bytes inline
+const openFile = async (document) => {
+  if (!document.storageKey) {
+    const legacy = await Document.findById(document._id).select('+fileData');
+    return legacy && legacy.fileData ? legacy.fileData : null;
+  }
+  return getStorage(document.storageDriver).get(document.storageKey);
+};
+
+// The current file's upload: its version entry, or the document itself before versioning
+const currentUpload = (document) => {
+  const version = (document.versions || []).find((item) => item.version === document.currentVersion);
+  return version
+    ? { uploadedBy: version.uploadedBy, uploadedAt: version.createdAt }
+    : { uploadedBy: document.uploadedBy, uploadedAt: document.createdAt };
+};
+
+// Stream documents (with client, task and the uploaders populated) as a ZIP download.
+// Files go in a folder per task, inside a folder per client when there is more than
+// one, and manifest.csv lists every file with its uploader and date. Files are read
+// from storage one at a time so memory use stays flat however large the archive is;
+// a file that can't be read is left out and its error noted in the manifest.
+const streamDocumentArchive = async (res, documents, filename) => {
+  const archive = archiver('zip');
+  const clientIds = new Set(documents.map((document) => document.client._id.toString()));
+  const folders = taskFolders(documents);
+  const nextPath = uniquePaths();
+
+  // Stops the loop below when the download is cancelled or fails
+  const stop = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      stop.abort();
+      archive.abort();
+    }
+  });
+  archive.on('warning', (error) => console.error('Archive warning:', error));
+  archive.on('error', (error) => {
+    console.error('Archive stream error:', error);
+    stop.abort();
+    res.destroy(error);
+  });
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', contentDisposition(filename));
+  archive.pipe(res);
+
+  const manifest = [];
+  for (const document of documents) {
+    if (stop.signal.aborted) return;
+
+    const clientFolder = clientIds.size > 1 ? `${safeName(document.client.name, 'Client')}/` : '';
+    const taskFolder = document.task ? folders.get(document.task._id.toString()) : GENERAL_FOLDER;
+    const path = nextPath(`${clientFolder}${taskFolder}/`, documentFilename(document));
+    const { uploadedBy, uploadedAt } = currentUpload(document);
+    const entry = {
+      path,
+      documentId: document._id,
+      name: document.name,
+      client: document.client.name,
+      task: document.task ? document.task.title : '',
+      version: document.currentVersion,
+      fileType: document.fileType,
+      size: document.size,
+      uploadedBy: uploadedBy && uploadedBy.name ? uploadedBy.name : '',
+      uploadedAt
+    };
+
+    let source = null;
+    try {
+      source = await openFile(document);
+    } catch (error) {
+      console.error(`Archive could not read document ${document._id}:`, error);
+    }
+
+    if (source) {
+      archive.append(source, { name: path, date: uploadedAt });
+      // Wait for the entry to be written before opening the next file
+      await once(archive, 'entry', { signal: stop.signal }).catch(() => {});
+    } else {
+      entry.path = '';
+      entry.error = 'File could not be read';
+    }
+    manifest.push(entry);
+  }
+
+  if (stop.signal.aborted) return;
+  archive.append(toCsv(MANIFEST_COLUMNS, manifest), { name: 'manifest.csv' });
+  await archive.finalize();
+};
+
+module.exports = { streamDocumentArchive };
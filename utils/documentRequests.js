@@ -0,0 +1,60 @@
+const Task = require('../models/Task');
+
+// Statuses in which a request still waits for a file from the client
+const OPEN_REQUEST_STATUSES = ['outstanding', 'rejected'];
+
+// The task holding a document request, with the request itself, or null
+const findDocumentRequest = async (requestId) => {
+  const task = await Task.findOne({ 'documentRequests._id': requestId });
+  if (!task) return null;
+  return { task, request: task.documentRequests.id(requestId) };
+};
+
+// Record an upload against a request; it waits for review again even if it was rejected
+const markRequestReceived = async (task, request, document) => {
+  request.documents.push(document._id);
+  request.status = 'received';
+  request.receivedAt = new Date();
+  request.reviewedBy = undefined;
+  request.reviewedAt = undefined;
+  request.rejectionReason = undefined;
+  await task.save();
+};
+
+// Unlink a deleted document from its request. A request left without files that
+// was never reviewed goes back to outstanding.
+const releaseRequestDocument = async (document) => {
+  if (!document.request) return;
+
+  const found = await findDocumentRequest(document.request);
+  if (!found) return;
+
+  const { task, request } = found;
+  request.documents.pull(document._id);
+  if (request.documents.length === 0 && request.status === 'received') {
+    request.status = 'outstanding';
+    request.receivedAt = undefined;
+  }
+  await task.save();
+};
+
+// Link a document restored from the trash back to its request, undoing
+// releaseRequestDocument. Nothing changes if the request has since been withdrawn.
+const relinkRequestDocument = async (document) => {
+  if (!document.request) return;
+
+  const found = await findDocumentRequest(document.request);
+  if (!found) return;
+
+  const { task, request } = found;
+  if (request.documents.some((id) => id.equals(document._id))) return;
+
+  request.documents.push(document._id);
+  if (request.status === 'outstanding') {
+    request.status = 'received';
+    request.receivedAt = new Date();
+  }
+  await task.save();
+};
+
+module.exports = { OPEN_REQUEST_STATUSES, findDocumentRequest, markRequestReceived, releaseRequestDocument, relinkRequestDocument };
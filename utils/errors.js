@@ -0,0 +1,118 @@
+// Errors with an HTTP status and a stable machine-readable code. Throw them (or
+// pass them to next) from routes; the error middleware in server.js turns them
+// into the { message, code, details, requestId } response envelope.
+class AppError extends Error {
+  constructor(message, status = 500, code = 'INTERNAL_ERROR', details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Input failed schema validation; details lists each problem as { field, message }
+class ValidationError extends AppError {
+  constructor(message = 'Invalid request', details) {
+    super(message, 400, 'VALIDATION_ERROR', details);
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = 'Bad request', code = 'BAD_REQUEST') {
+    super(message, 400, code);
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Not authorized to access this route', code = 'UNAUTHORIZED') {
+    super(message, 401, code);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Not authorized to access this resource', code = 'FORBIDDEN') {
+    super(message, 403, code);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', code = 'NOT_FOUND') {
+    super(message, 404, code);
+  }
+}
+
+// The request clashes with existing data, e.g. an email address already in use
+class ConflictError extends AppError {
+  constructor(message = 'Conflict', code = 'CONFLICT') {
+    super(message, 409, code);
+  }
+}
+
+// Well-formed input that can't be processed, e.g. an infected upload
+class UnprocessableError extends AppError {
+  constructor(message = 'Unprocessable request', code = 'UNPROCESSABLE') {
+    super(message, 422, code);
+  }
+}
+
+// The account is temporarily locked after repeated failed sign-ins
+class LockedError extends AppError {
+  constructor(message = 'Account temporarily locked', code = 'ACCOUNT_LOCKED') {
+    super(message, 423, code);
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests, please try again later', code = 'RATE_LIMITED') {
+    super(message, 429, code);
+  }
+}
+
+class ServiceUnavailableError extends AppError {
+  constructor(message = 'Service unavailable', code = 'SERVICE_UNAVAILABLE') {
+    super(message, 503, code);
+  }
+}
+
+// Map errors raised by libraries (Mongoose, body-parser, JWT) to AppErrors
+const normalizeError = (error) => {
+  if (error instanceof AppError) return error;
+
+  if (error.name === 'CastError') {
+    return new ValidationError(`Invalid ${error.path}`, [{ field: error.path, message: `Invalid ${error.kind}` }]);
+  }
+  if (error.name === 'ValidationError' && error.errors) {
+    const details = Object.values(error.errors).map((item) => ({ field: item.path, message: item.message }));
+    return new AppError('Invalid data', 422, 'UNPROCESSABLE', details);
+  }
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyValue || error.keyPattern || {})[0];
+    return new ConflictError(field ? `${field} is already in use` : 'Duplicate record', 'DUPLICATE');
+  }
+  if (error.type === 'entity.parse.failed') {
+    return new BadRequestError('Malformed JSON body', 'INVALID_JSON');
+  }
+  if (error.type === 'entity.too.large') {
+    return new AppError('Request body too large', 413, 'PAYLOAD_TOO_LARGE');
+  }
+
+  const wrapped = new AppError('Something went wrong', 500, 'INTERNAL_ERROR');
+  wrapped.cause = error;
+  return wrapped;
+};
+
+module.exports = {
+  AppError,
+  ValidationError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  UnprocessableError,
+  LockedError,
+  TooManyRequestsError,
+  ServiceUnavailableError,
+  normalizeError
+};
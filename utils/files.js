@@ -0,0 +1,134 @@
+const { CLIENT_ROLE } = require('./permissions');
+
+// Known file types, identified by their leading "magic" bytes.
+// `extensions` lists every extension the content may legitimately carry.
+const SIGNATURES = [
+  { mime: 'application/pdf', extensions: ['pdf'], magic: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { mime: 'image/png', extensions: ['png'], magic: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mime: 'image/jpeg', extensions: ['jpg', 'jpeg'], magic: [0xff, 0xd8, 0xff] },
+  { mime: 'image/gif', extensions: ['gif'], magic: [0x47, 0x49, 0x46, 0x38] },
+  { mime: 'image/webp', extensions: ['webp'], magic: [0x52, 0x49, 0x46, 0x46], extra: { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] } },
+  { mime: 'image/tiff', extensions: ['tif', 'tiff'], magic: [0x49, 0x49, 0x2a, 0x00] },
+  { mime: 'image/tiff', extensions: ['tif', 'tiff'], magic: [0x4d, 0x4d, 0x00, 0x2a] },
+  // Office Open XML files are ZIP containers, so the extension decides the MIME type
+  { mime: 'application/zip', extensions: ['zip', 'docx', 'xlsx', 'pptx'], magic: [0x50, 0x4b, 0x03, 0x04] },
+  // Legacy Office files share the OLE compound document header
+  { mime: 'application/x-ole-storage', extensions: ['doc', 'xls', 'ppt'], magic: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+  { mime: 'application/x-rar-compressed', extensions: ['rar'], magic: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07] },
+  { mime: 'application/x-7z-compressed', extensions: ['7z'], magic: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { mime: 'video/mp4', extensions: ['mp4', 'm4a'], magic: [0x66, 0x74, 0x79, 0x70], offset: 4 },
+  { mime: 'audio/mpeg', extensions: ['mp3'], magic: [0x49, 0x44, 0x33] },
+  { mime: 'audio/mpeg', extensions: ['mp3'], magic: [0xff, 0xfb] },
+  // Executables are recognised only so they can always be refused
+  { mime: 'application/x-msdownload', extensions: ['exe', 'dll'], magic: [0x4d, 0x5a], executable: true },
+  { mime: 'application/x-elf', extensions: [], magic: [0x7f, 0x45, 0x4c, 0x46], executable: true }
+];
+
+// MIME type to store for each allowed extension
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  txt: 'text/plain',
+  csv: 'text/csv',
+  zip: 'application/zip',
+  rar: 'application/x-rar-compressed',
+  '7z': 'application/x-7z-compressed',
+  mp4: 'video/mp4',
+  m4a: 'audio/mp4',
+  mp3: 'audio/mpeg'
+};
+
+// Extensions without a signature that are accepted when the content looks like text
+const TEXT_EXTENSIONS = ['txt', 'csv'];
+
+// Bytes needed from the start of a file to identify it
+const SNIFF_LENGTH = 512;
+
+// Default upload allow-lists. Override per role with UPLOAD_ALLOWED_TYPES_<ROLE>=pdf,png,...
+const CLIENT_ALLOWED_TYPES = ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'csv', 'txt', 'png', 'jpg', 'jpeg', 'gif', 'webp', 'tif', 'tiff', 'zip'];
+const STAFF_ALLOWED_TYPES = Object.keys(MIME_TYPES);
+
+const matchesAt = (buffer, bytes, offset = 0) => {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+// Heuristic: no NUL bytes and mostly printable characters
+const looksLikeText = (buffer) => {
+  if (buffer.length === 0) return true;
+  let printable = 0;
+  for (const byte of buffer) {
+    if (byte === 0x00) return false;
+    if (byte >= 0x20 || byte === 0x09 || byte === 0x0a || byte === 0x0d) printable++;
+  }
+  return printable / buffer.length > 0.95;
+};
+
+// Identify content from its first bytes; returns null when unrecognised
+const detectFileType = (head) => {
+  const signature = SIGNATURES.find((entry) =>
+    matchesAt(head, entry.magic, entry.offset) &&
+    (!entry.extra || matchesAt(head, entry.extra.bytes, entry.extra.offset))
+  );
+
+  if (signature) {
+    return { mime: signature.mime, extensions: signature.extensions, executable: Boolean(signature.executable) };
+  }
+
+  if (looksLikeText(head)) {
+    return { mime: 'text/plain', extensions: TEXT_EXTENSIONS, executable: false };
+  }
+
+  return null;
+};
+
+const getAllowedTypes = (role) => {
+  const configured = process.env[`UPLOAD_ALLOWED_TYPES_${role.toUpperCase()}`];
+  if (configured) {
+    return configured.split(',').map((type) => type.trim().toLowerCase()).filter(Boolean);
+  }
+  return role === CLIENT_ROLE ? CLIENT_ALLOWED_TYPES : STAFF_ALLOWED_TYPES;
+};
+
+// Validate an upload's extension and first bytes for a role.
+// Returns { extension, mimeType } or { error } describing why it was refused.
+const inspectUpload = ({ extension, head, role }) => {
+  const ext = (extension || '').replace(/^\./, '').toLowerCase();
+  const detected = detectFileType(head);
+
+  if (detected && detected.executable) {
+    return { error: 'Executable files are not allowed' };
+  }
+
+  if (!ext || !getAllowedTypes(role).includes(ext)) {
+    return { error: `Files of type .${ext || '(none)'} are not allowed` };
+  }
+
+  if (!detected || !detected.extensions.includes(ext)) {
+    return { error: `File content does not match the .${ext} extension` };
+  }
+
+  return { extension: ext, mimeType: MIME_TYPES[ext] || detected.mime };
+};
+
+// Content-Disposition header with an ASCII fallback and an RFC 5987 UTF-8 filename
+const contentDisposition = (filename) => {
+  const clean = String(filename).replace(/[\x00-\x1f\x7f]/g, '');
+  const fallback = clean.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(clean).replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+module.exports = { SNIFF_LENGTH, MIME_TYPES, detectFileType, getAllowedTypes, inspectUpload, contentDisposition };
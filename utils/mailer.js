@@ -0,0 +1,73 @@
+const nodemailer = require('nodemailer');
+
+// Messages captured by the stub transport, handy for local testing
+const outbox = [];
+
+// Available mail transports, selected with MAIL_TRANSPORT (smtp, console, stub)
+const transports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+
+    return {
+      send: (message) => transporter.sendMail(message)
+    };
+  },
+  console: () => ({
+    send: async (message) => {
+      console.log('Mail (console transport):', message);
+      return { accepted: [message.to] };
+    }
+  }),
+  stub: () => ({
+    send: async (message) => {
+      outbox.push(message);
+      return { accepted: [message.to] };
+    }
+  })
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    // The console transport prints whole messages, reset links included, so it is
+    // never picked by default in production
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : null) ||
+      (process.env.NODE_ENV === 'production' ? null : 'console');
+    if (!name) {
+      throw new Error('No mail transport configured: set SMTP_HOST or MAIL_TRANSPORT');
+    }
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+// Replace the active transport, e.g. with a custom stub in tests
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send an email through the active transport
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@managementportal.local',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = { sendMail, setTransport, outbox };
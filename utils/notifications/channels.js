@@ -0,0 +1,65 @@
+const axios = require('axios');
+const Notification = require('../../models/Notification');
+const { sendMail } = require('../mailer');
+const { publishInBackground } = require('./stream');
+
+// Channel adapters. Each has destination(user) -> address or null, and
+// send(delivery) which throws on failure so the queue can retry.
+const channels = {
+  // WhatsApp through the Beta Blaster API
+  whatsapp: {
+    destination: (user) => user.phone || null,
+    send: async (delivery) => {
+      const response = await axios.post('https://api.betablaster.com/send', {
+        apiKey: process.env.BETA_BLASTER_API_KEY,
+        phone: delivery.destination,
+        message: delivery.body
+      }, { timeout: 10000 });
+      return response.data;
+    }
+  },
+
+  email: {
+    destination: (user) => user.email || null,
+    send: (delivery) => sendMail({
+      to: delivery.destination,
+      subject: delivery.subject,
+      text: delivery.body
+    })
+  },
+
+  // Stored in the user's inbox and pushed to their open streams. Keyed by the
+  // delivery so a retried send never adds the notification twice.
+  inApp: {
+    destination: (user) => user._id.toString(),
+    send: async (delivery) => {
+      const notification = await Notification.findOneAndUpdate(
+        { delivery: delivery._id },
+        {
+          $setOnInsert: {
+            user: delivery.recipient,
+            event: delivery.event,
+            title: delivery.subject,
+            body: delivery.body,
+            entityType: delivery.entityType,
+            entityId: delivery.entityId
+          }
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+      publishInBackground(delivery.recipient, 'notification', { notification });
+      return notification;
+    }
+  }
+};
+
+const CHANNELS = Object.keys(channels);
+
+const getChannel = (name) => channels[name];
+
+// Replace a channel adapter, e.g. with a stub in tests
+const setChannel = (name, adapter) => {
+  channels[name] = adapter;
+};
+
+module.exports = { CHANNELS, getChannel, setChannel };
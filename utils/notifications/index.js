@@ -0,0 +1,162 @@
+const { waitUntil } = require('@vercel/functions');
+const NotificationDelivery = require('../../models/NotificationDelivery');
+const { CHANNELS, getChannel } = require('./channels');
+const { renderMessage } = require('./templates');
+const { encrypt, decrypt } = require('../crypto');
+
+const MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const BACKOFF_BASE_MS = Number(process.env.NOTIFICATION_BACKOFF_MS) || 30 * 1000;
+// A delivery stuck in "sending" this long (e.g. the process died) is picked up again
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+const REDACTED = '[redacted]';
+
+// Key for messages sealed until they are sent, e.g. invitations with their link
+const sealingKey = () => process.env.NOTIFICATION_ENCRYPTION_KEY || process.env.JWT_SECRET;
+
+// Channels a user wants for an event, honouring their preferences and opt-outs
+const channelsFor = (user, event) => {
+  const preferences = user.notificationPreferences || {};
+  if ((preferences.optOut || []).includes(event)) return [];
+
+  return CHANNELS.filter((channel) => preferences[channel] !== false);
+};
+
+// Exponential backoff: 30s, 1m, 2m, 4m, ...
+const backoffDelay = (attempts) => BACKOFF_BASE_MS * Math.pow(2, attempts - 1);
+
+// Claim a due delivery so that concurrent processors never send it twice
+const claimDelivery = (id) => {
+  const now = new Date();
+  return NotificationDelivery.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  ).select('+sealedMessage');
+};
+
+// Send one delivery, recording the outcome in the delivery log
+const processDelivery = async (id) => {
+  const delivery = await claimDelivery(id);
+  if (!delivery) return null;
+
+  try {
+    // Sealed messages are sent as written, not as the redacted copy in the log
+    const message = delivery.sealedMessage
+      ? { ...delivery.toObject(), ...JSON.parse(decrypt(delivery.sealedMessage, sealingKey())) }
+      : delivery;
+    await getChannel(delivery.channel).send(message);
+    delivery.status = 'sent';
+    delivery.sentAt = new Date();
+    delivery.lastError = undefined;
+  } catch (error) {
+    delivery.lastError = error.message;
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      console.error(`Notification ${delivery._id} failed after ${delivery.attempts} attempts:`, error.message);
+    } else {
+      const delay = backoffDelay(delivery.attempts);
+      delivery.status = 'queued';
+      delivery.nextAttemptAt = new Date(Date.now() + delay);
+      scheduleRetry(delivery._id, delay);
+    }
+  }
+
+  delivery.lockedAt = undefined;
+  if (delivery.status !== 'queued') {
+    delivery.sealedMessage = undefined;
+  }
+  await delivery.save();
+  return delivery;
+};
+
+// In-process retries for long-running servers. A serverless function is frozen long
+// before the first retry is due, so there retries wait for processQueue from the
+// cron endpoint or worker.
+const scheduleRetry = (id, delay) => {
+  setTimeout(() => {
+    processDelivery(id).catch((error) => console.error('Notification retry error:', error));
+  }, delay).unref();
+};
+
+// Send every delivery that is due
+const processQueue = async (limit = 100) => {
+  const now = new Date();
+  const due = await NotificationDelivery.find({
+    $or: [
+      { status: 'queued', nextAttemptAt: { $lte: now } },
+      { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+    ]
+  }).sort({ nextAttemptAt: 1 }).limit(limit).select('_id');
+
+  let sent = 0;
+  let failed = 0;
+  for (const { _id } of due) {
+    const delivery = await processDelivery(_id);
+    if (delivery && delivery.status === 'sent') sent++;
+    if (delivery && delivery.status === 'failed') failed++;
+  }
+  return { processed: due.length, sent, failed };
+};
+
+// Queue an event for each recipient on each of their channels and return straight away.
+// recipients are User documents; variables fill the event's template; entity links
+// the notification to a record, e.g. { type: 'Task', id: task._id }. options.channels
+// overrides the recipients' preferences for messages they must receive, e.g. an
+// invitation sent to someone who has no account yet ({ name, email, phone }).
+// options.secrets names variables, like an invite link, kept out of the delivery log.
+const notify = async (event, recipients, variables = {}, entity = {}, options = {}) => {
+  const deliveries = [];
+
+  for (const user of recipients.filter(Boolean)) {
+    for (const channel of options.channels || channelsFor(user, event)) {
+      const destination = getChannel(channel).destination(user);
+      if (!destination) continue;
+
+      const message = await renderMessage(event, channel, variables);
+      let logged = message;
+      let sealedMessage;
+      if (options.secrets) {
+        const redacted = Object.fromEntries(options.secrets.map((name) => [name, REDACTED]));
+        logged = await renderMessage(event, channel, { ...variables, ...redacted });
+        sealedMessage = encrypt(JSON.stringify({ subject: message.subject, body: message.body }), sealingKey());
+      }
+      deliveries.push({
+        event,
+        channel,
+        recipient: user._id,
+        destination,
+        subject: logged.subject,
+        body: logged.body,
+        sealedMessage,
+        entityType: entity.type,
+        entityId: entity.id
+      });
+    }
+  }
+
+  if (deliveries.length === 0) return [];
+
+  const queued = await NotificationDelivery.insertMany(deliveries);
+
+  // Send without holding up the caller. On Vercel, waitUntil keeps the function
+  // running after the response until the first attempts are done.
+  waitUntil(Promise.all(queued.map(({ _id }) => {
+    return processDelivery(_id).catch((error) => console.error('Notification send error:', error));
+  })));
+
+  return queued;
+};
+
+// Fire-and-forget wrapper for request handlers: a notification problem never fails the request
+const notifyInBackground = (...args) => {
+  waitUntil(notify(...args).catch((error) => console.error('Notification queue error:', error)));
+};
+
+module.exports = { notify, notifyInBackground, processQueue, processDelivery, channelsFor };
@@ -0,0 +1,32 @@
+const { EventEmitter } = require('events');
+const Notification = require('../../models/Notification');
+
+// In-process fan-out of inbox changes to open SSE connections. Each server
+// instance only sees its own events, so streams also send the unread count when
+// they (re)connect to stay correct behind several instances.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const unreadCount = (userId) => Notification.countDocuments({ user: userId, readAt: null });
+
+// Listen for inbox events of one user; returns the unsubscribe function
+const subscribe = (userId, listener) => {
+  const channel = userId.toString();
+  emitter.on(channel, listener);
+  return () => emitter.off(channel, listener);
+};
+
+// Tell a user's open streams about a change, along with their new unread count
+const publish = async (userId, type, data = {}) => {
+  const channel = userId.toString();
+  if (emitter.listenerCount(channel) === 0) return;
+
+  const unread = await unreadCount(userId);
+  emitter.emit(channel, { type, data: { ...data, unread } });
+};
+
+const publishInBackground = (...args) => {
+  publish(...args).catch((error) => console.error('Notification stream error:', error));
+};
+
+module.exports = { subscribe, publish, publishInBackground, unreadCount };
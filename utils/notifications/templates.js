@@ -0,0 +1,105 @@
+const NotificationTemplate = require('../../models/NotificationTemplate');
+
+// Built-in templates per event. Placeholders like {{title}} are filled from the event's variables.
+const DEFAULT_TEMPLATES = {
+  'task.created': {
+    subject: 'New task: {{title}}',
+    body: 'New task assigned: {{title}}\nDeadline: {{deadline}}\nDescription: {{description}}'
+  },
+  'task.completed': {
+    subject: 'Task completed: {{title}}',
+    body: 'Task completed: {{title}}'
+  },
+  'task.assigned': {
+    subject: 'Task assigned to you: {{title}}',
+    body: '{{assignedBy}} assigned you {{title}} for {{clientName}}\nDeadline: {{deadline}}'
+  },
+  'task.status_changed': {
+    subject: '{{title}} is now {{status}}',
+    body: '{{title}} moved from {{from}} to {{status}}'
+  },
+  'task.reminder': {
+    subject: 'Reminder: {{title}} is due in {{daysLeft}} day(s)',
+    body: 'Reminder: {{title}} is due in {{daysLeft}} day(s) ({{deadline}})'
+  },
+  'task.overdue': {
+    subject: 'Overdue: {{title}}',
+    body: 'Overdue: {{title}} was due on {{deadline}}'
+  },
+  'task.escalated': {
+    subject: 'Escalation: {{title}} for {{clientName}}',
+    body: 'Escalation: {{title}} for {{clientName}} is overdue since {{deadline}}'
+  },
+  'comment.created': {
+    subject: 'New comment on {{title}}',
+    body: '{{author}} commented on {{title}}:\n{{body}}'
+  },
+  'comment.mention': {
+    subject: '{{author}} mentioned you on {{title}}',
+    body: '{{author}} mentioned you on {{title}}:\n{{body}}'
+  },
+  'document_request.created': {
+    subject: 'Documents needed for {{title}}',
+    body: 'Please upload the following for {{title}}: {{items}}'
+  },
+  'document_request.received': {
+    subject: '{{clientName}} uploaded {{name}}',
+    body: '{{clientName}} uploaded {{name}} for {{title}}. It is ready for review.'
+  },
+  'document_request.rejected': {
+    subject: 'Please upload {{name}} again',
+    body: '{{name}} for {{title}} could not be accepted: {{reason}}\nPlease upload it again.'
+  },
+  'document_request.reminder': {
+    subject: 'Documents still needed for {{title}}',
+    body: 'We are still waiting for the following for {{title}}: {{items}}'
+  },
+  'document.uploaded': {
+    subject: 'New document: {{name}}',
+    body: 'New document uploaded: {{name}}'
+  },
+  'client.invited': {
+    subject: 'You are invited to the client portal',
+    body: 'Hi {{name}},\n\n{{invitedBy}} has invited you to the client portal. Set your password to get started:\n{{link}}\n\nThe link expires on {{expiresAt}}.'
+  },
+  'client.registration_pending': {
+    subject: 'New client registration: {{name}}',
+    body: '{{name}} ({{email}}) registered for the client portal and is waiting for approval.'
+  },
+  'client.approved': {
+    subject: 'Your client portal account is ready',
+    body: 'Hi {{name}}, your registration has been approved. You can now sign in to the client portal.'
+  }
+};
+
+const EVENTS = Object.keys(DEFAULT_TEMPLATES);
+
+const render = (template, variables) => {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null) return '';
+    return value instanceof Date ? value.toLocaleDateString() : String(value);
+  });
+};
+
+// Template for an event and channel: channel override, then event-wide override, then default
+const resolveTemplate = async (event, channel) => {
+  const overrides = await NotificationTemplate.find({ event, channel: { $in: [channel, '*'] } }).lean();
+  const override = overrides.find((template) => template.channel === channel) ||
+    overrides.find((template) => template.channel === '*');
+
+  return override || DEFAULT_TEMPLATES[event];
+};
+
+const renderMessage = async (event, channel, variables) => {
+  const template = await resolveTemplate(event, channel);
+  if (!template) {
+    throw new Error(`No notification template for event ${event}`);
+  }
+  return {
+    subject: render(template.subject, variables),
+    body: render(template.body, variables)
+  };
+};
+
+module.exports = { DEFAULT_TEMPLATES, EVENTS, render, renderMessage };
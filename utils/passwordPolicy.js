@@ -0,0 +1,56 @@
+// Password strength rules, configurable through the environment:
+// PASSWORD_MIN_LENGTH (defaults to 8) and PASSWORD_REQUIRE_UPPERCASE,
+// PASSWORD_REQUIRE_LOWERCASE, PASSWORD_REQUIRE_NUMBER, PASSWORD_REQUIRE_SYMBOL
+// (letters and numbers are required by default, symbols are not).
+const MAX_LENGTH = 128;
+
+const flag = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : value === 'true';
+};
+
+const getPasswordPolicy = () => ({
+  minLength: Math.max(Number(process.env.PASSWORD_MIN_LENGTH) || 8, 1),
+  maxLength: MAX_LENGTH,
+  requireUppercase: flag('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireLowercase: flag('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireNumber: flag('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: flag('PASSWORD_REQUIRE_SYMBOL', false)
+});
+
+// Return every rule the password breaks (empty when it is acceptable). The
+// account's email and name, when given, may not appear in the password.
+const checkPassword = (password, { email, name } = {}) => {
+  const policy = getPasswordPolicy();
+  const problems = [];
+  const value = typeof password === 'string' ? password : '';
+
+  if (value.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters`);
+  }
+  if (value.length > policy.maxLength) {
+    problems.push(`Password must be at most ${policy.maxLength} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    problems.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    problems.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireNumber && !/[0-9]/.test(value)) {
+    problems.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    problems.push('Password must contain a symbol');
+  }
+
+  const lower = value.toLowerCase();
+  const personal = [email && email.split('@')[0], name].filter((part) => part && part.length >= 3);
+  if (personal.some((part) => lower.includes(part.toLowerCase()))) {
+    problems.push('Password must not contain your name or email address');
+  }
+
+  return problems;
+};
+
+module.exports = { getPasswordPolicy, checkPassword };
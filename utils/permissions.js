@@ -0,0 +1,55 @@
+// Every named permission a role can be granted.
+// clients:all lifts staff-to-client assignment scoping so every client is visible.
+const PERMISSIONS = [
+  'clients:read',
+  'clients:create',
+  'clients:update',
+  'clients:delete',
+  'clients:assign',
+  'clients:all',
+  'tasks:read',
+  'tasks:create',
+  'tasks:update',
+  'tasks:delete',
+  'documents:read',
+  'documents:upload',
+  'documents:delete',
+  'roles:manage',
+  'notifications:manage',
+  'workflow:manage',
+  'audit:read',
+  'reports:read',
+  'trash:purge'
+];
+
+// Role given to portal clients; data access for this role is limited to the client's own records
+const CLIENT_ROLE = 'client';
+
+// Role that always holds every permission so the firm can never lock itself out
+const SUPER_ROLE = 'admin';
+
+// Built-in roles, used until an admin overrides them in the roles collection
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Full access, including role management',
+    permissions: PERMISSIONS
+  },
+  partner: {
+    description: 'Manages clients, tasks and documents',
+    permissions: PERMISSIONS.filter((permission) => !['roles:manage', 'audit:read'].includes(permission))
+  },
+  staff: {
+    description: 'Works on tasks and uploads documents',
+    permissions: ['clients:read', 'tasks:read', 'tasks:create', 'tasks:update', 'documents:read', 'documents:upload']
+  },
+  auditor: {
+    description: 'Read-only access',
+    permissions: ['clients:read', 'tasks:read', 'documents:read', 'reports:read']
+  },
+  client: {
+    description: 'Portal client with access to their own tasks and documents',
+    permissions: ['tasks:read', 'tasks:update', 'documents:read', 'documents:upload', 'documents:delete']
+  }
+};
+
+module.exports = { PERMISSIONS, CLIENT_ROLE, SUPER_ROLE, DEFAULT_ROLES };
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const { UnprocessableError } = require('./errors');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+// Most items a request without page, limit or cursor may list; longer lists are
+// refused rather than cut short, so callers never count a partial list
+const UNPAGINATED_LIMIT = 500;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const splitList = (value) => String(value).split(',').map((item) => item.trim()).filter(Boolean);
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Cursors are opaque to clients: base64 of the last item's sort value and id
+const encodeCursor = (item, field) => {
+  const value = item[field];
+  const payload = { v: value instanceof Date ? value.toISOString() : value, d: value instanceof Date, id: item._id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!mongoose.isValidObjectId(payload.id)) return null;
+    return {
+      value: payload.d ? new Date(payload.v) : payload.v,
+      id: new mongoose.Types.ObjectId(payload.id)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Turn list query parameters into Mongo conditions, sort and pagination.
+// options.filters maps a query parameter to { field, type } where type is
+// 'string' (comma-separated values), 'objectId' (comma-separated ids) or
+// 'dateRange' (read from <param>From / <param>To).
+// Returns { error } when a parameter is invalid.
+const parseListQuery = (query, { filters = {}, search = [], sort = [], defaultSort = '-createdAt' }) => {
+  const conditions = [];
+
+  for (const [param, { field, type }] of Object.entries(filters)) {
+    if (type === 'dateRange') {
+      const range = {};
+      for (const [suffix, operator] of [['From', '$gte'], ['To', '$lte']]) {
+        const raw = query[`${param}${suffix}`];
+        if (raw === undefined) continue;
+        const date = parseDate(raw);
+        if (!date) {
+          return { error: `Invalid date for ${param}${suffix}` };
+        }
+        range[operator] = date;
+      }
+      if (Object.keys(range).length > 0) {
+        conditions.push({ [field]: range });
+      }
+      continue;
+    }
+
+    if (query[param] === undefined || query[param] === '') continue;
+    const values = splitList(query[param]);
+
+    if (type === 'objectId') {
+      if (!values.every((value) => mongoose.isValidObjectId(value))) {
+        return { error: `Invalid id for ${param}` };
+      }
+      conditions.push({ [field]: { $in: values.map((value) => new mongoose.Types.ObjectId(value)) } });
+    } else {
+      conditions.push({ [field]: { $in: values } });
+    }
+  }
+
+  // Repeated parameters arrive as arrays
+  for (const param of ['search', 'sort', 'cursor']) {
+    if (query[param] !== undefined && typeof query[param] !== 'string') {
+      return { error: `${param} must be given once` };
+    }
+  }
+
+  // Case-insensitive substring match across the searchable fields
+  if (query.search && search.length > 0) {
+    const pattern = new RegExp(escapeRegex(String(query.search).trim()), 'i');
+    conditions.push({ $or: search.map((field) => ({ [field]: pattern })) });
+  }
+
+  const sortParam = query.sort || defaultSort;
+  const sortField = sortParam.replace(/^-/, '');
+  if (!sort.includes(sortField)) {
+    return { error: `Cannot sort by ${sortField}. Allowed: ${sort.join(', ')}` };
+  }
+  const direction = sortParam.startsWith('-') ? -1 : 1;
+
+  // Without page, limit or cursor the list is returned as a bare array, as before,
+  // as long as it holds at most UNPAGINATED_LIMIT items
+  const paginated = query.page !== undefined || query.limit !== undefined || query.cursor !== undefined;
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return { conditions, sortField, direction, paginated, limit, page, cursor };
+};
+
+// Run a parsed list query. `baseFilter` (e.g. access scoping) is always applied;
+// `decorate` can add populate/select calls to the find query.
+const findList = async (Model, baseFilter, listQuery, decorate = (query) => query) => {
+  const { conditions, sortField, direction, paginated, limit, page, cursor } = listQuery;
+  const filter = { $and: [baseFilter, ...conditions] };
+  const sort = { [sortField]: direction, _id: direction };
+
+  const total = await Model.countDocuments(filter);
+
+  if (!paginated) {
+    const items = await decorate(Model.find(filter).sort(sort).limit(UNPAGINATED_LIMIT)).lean();
+    return { items, total };
+  }
+
+  let findFilter = filter;
+  if (cursor) {
+    const operator = direction === 1 ? '$gt' : '$lt';
+    findFilter = {
+      $and: [filter, {
+        $or: [
+          { [sortField]: { [operator]: cursor.value } },
+          { [sortField]: cursor.value, _id: { [operator]: cursor.id } }
+        ]
+      }]
+    };
+  }
+
+  let query = Model.find(findFilter).sort(sort).limit(limit + 1);
+  if (!cursor) {
+    query = query.skip((page - 1) * limit);
+  }
+  const items = await decorate(query).lean();
+
+  const hasMore = items.length > limit;
+  if (hasMore) items.pop();
+
+  return {
+    items,
+    total,
+    page: cursor ? undefined : page,
+    limit,
+    pages: Math.ceil(total / limit),
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sortField) : null
+  };
+};
+
+// Paginated requests get an envelope; plain requests keep the bare array response.
+// Throws when a plain request matches more than UNPAGINATED_LIMIT items.
+const sendList = (res, result, listQuery) => {
+  if (!listQuery.paginated && result.total > UNPAGINATED_LIMIT) {
+    throw new UnprocessableError(
+      `${result.total} items match; lists of more than ${UNPAGINATED_LIMIT} must be paginated with page and limit or cursor`,
+      'PAGINATION_REQUIRED'
+    );
+  }
+
+  res.setHeader('X-Total-Count', result.total);
+  if (!listQuery.paginated) {
+    return res.json(result.items);
+  }
+  res.json(result);
+};
+
+module.exports = { parseListQuery, findList, sendList, splitList };
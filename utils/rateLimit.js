@@ -0,0 +1,82 @@
+const { TooManyRequestsError } = require('./errors');
+
+// Fixed-window counters kept in process memory. Each serverless instance has its
+// own, so swap in a shared store (e.g. Redis) with setRateLimitStore when running
+// more than one. A store exposes increment(key, windowMs) -> { count, resetAt }
+// and reset(key); both may be async.
+const createMemoryStore = () => {
+  const windows = new Map();
+
+  // Drop finished windows now and then so the map doesn't grow without bound
+  const sweep = (now) => {
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  };
+
+  return {
+    increment(key, windowMs) {
+      const now = Date.now();
+      if (windows.size > 10000) sweep(now);
+
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    reset(key) {
+      windows.delete(key);
+    }
+  };
+};
+
+let store = createMemoryStore();
+
+// Replace the counter store, e.g. with a shared one or a fresh one in tests
+const setRateLimitStore = (customStore) => {
+  store = customStore;
+};
+
+// Limit requests to `max` per `windowMs` for each value returned by key(req).
+// Requests without a key (e.g. no email in the body) are not counted. The
+// returned middleware has reset(req), to clear the counter after a success.
+const rateLimit = ({ name, windowMs, max, key = (req) => req.ip, message }) => {
+  const storeKey = (req) => {
+    const value = key(req);
+    return value ? `${name}:${String(value).toLowerCase()}` : null;
+  };
+
+  const middleware = async (req, res, next) => {
+    const id = storeKey(req);
+    if (!id) return next();
+
+    try {
+      const { count, resetAt } = await store.increment(id, windowMs);
+      const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+
+      res.setHeader('RateLimit-Limit', max);
+      res.setHeader('RateLimit-Remaining', Math.max(max - count, 0));
+      res.setHeader('RateLimit-Reset', retryAfter);
+
+      if (count > max) {
+        res.setHeader('Retry-After', retryAfter);
+        return next(new TooManyRequestsError(message));
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  middleware.reset = async (req) => {
+    const id = storeKey(req);
+    if (id) await store.reset(id);
+  };
+
+  return middleware;
+};
+
+module.exports = { rateLimit, setRateLimitStore, createMemoryStore };
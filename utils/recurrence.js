@@ -0,0 +1,138 @@
+const { rrulestr } = require('rrule');
+const Task = require('../models/Task');
+const { INITIAL_STATUS } = require('./workflow');
+
+const FREQUENCY_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+
+// How many days before its deadline the scheduler creates the next occurrence
+const LEAD_DAYS = Number(process.env.RECURRENCE_LEAD_DAYS) || 15;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Same time of day as `date`, `months` later, on `dayOfMonth` (clamped to the month's length)
+const addMonthsOnDay = (date, months, dayOfMonth) => {
+  const result = new Date(date);
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const day = Math.min(dayOfMonth, daysInMonth(target.getUTCFullYear(), target.getUTCMonth()));
+  result.setUTCFullYear(target.getUTCFullYear(), target.getUTCMonth(), day);
+  return result;
+};
+
+// Validate a recurrence rule from a request body against the first deadline.
+// Returns { recurrence } or { error }.
+const normalizeRecurrence = (input, deadline) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Recurrence must be an object' };
+  }
+
+  const { frequency, rrule, until, count } = input;
+  const recurrence = { frequency, startDate: deadline };
+
+  if (FREQUENCY_MONTHS[frequency]) {
+    const dayOfMonth = input.dayOfMonth !== undefined ? Number(input.dayOfMonth) : deadline.getUTCDate();
+    if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+      return { error: 'dayOfMonth must be between 1 and 31' };
+    }
+    recurrence.dayOfMonth = dayOfMonth;
+  } else if (frequency === 'custom') {
+    if (!rrule) {
+      return { error: 'A custom recurrence needs an rrule' };
+    }
+    try {
+      rrulestr(rrule, { dtstart: deadline });
+    } catch (error) {
+      return { error: `Invalid rrule: ${error.message}` };
+    }
+    recurrence.rrule = rrule;
+  } else {
+    return { error: 'frequency must be one of monthly, quarterly, yearly or custom' };
+  }
+
+  if (until !== undefined && until !== null) {
+    const untilDate = new Date(until);
+    if (Number.isNaN(untilDate.getTime())) {
+      return { error: 'Invalid until date' };
+    }
+    recurrence.until = untilDate;
+  }
+
+  if (count !== undefined && count !== null) {
+    if (!Number.isInteger(Number(count)) || Number(count) < 1) {
+      return { error: 'count must be a positive whole number' };
+    }
+    recurrence.count = Number(count);
+  }
+
+  return { recurrence };
+};
+
+// Deadline of the occurrence after `task`, or null when the series is over
+const computeNextDeadline = (task) => {
+  const { recurrence } = task;
+  if (!recurrence || !recurrence.frequency || recurrence.endedAt) return null;
+  if (recurrence.count && task.occurrence >= recurrence.count) return null;
+
+  let next;
+  if (recurrence.frequency === 'custom') {
+    next = rrulestr(recurrence.rrule, { dtstart: recurrence.startDate || task.deadline }).after(task.deadline);
+  } else {
+    next = addMonthsOnDay(task.deadline, FREQUENCY_MONTHS[recurrence.frequency], recurrence.dayOfMonth);
+  }
+
+  if (!next || (recurrence.until && next > recurrence.until)) return null;
+  return next;
+};
+
+// Create the occurrence following `task` unless it exists already or the series has ended.
+// Safe to call repeatedly: the unique (seriesId, occurrence) index rejects duplicates.
+const generateNextOccurrence = async (task) => {
+  const deadline = computeNextDeadline(task);
+  if (!deadline) return null;
+
+  try {
+    return await Task.create({
+      title: task.title,
+      description: task.description,
+      client: task.client,
+      deadline,
+      createdBy: task.createdBy,
+      assignee: task.assignee,
+      priority: task.priority,
+      checklist: task.checklist.map((item) => ({ text: item.text })),
+      statusHistory: [{ to: INITIAL_STATUS }],
+      recurrence: task.recurrence,
+      seriesId: task.seriesId,
+      occurrence: task.occurrence + 1
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Scheduler entry point: for every active series, create the next occurrence
+// once its deadline is within LEAD_DAYS. A deleted occurrence still counts as the
+// latest one so the series carries on; series archived with their client do not.
+const generateDueOccurrences = async (now = new Date()) => {
+  const latest = await Task.aggregate([
+    { $match: { seriesId: { $ne: null }, 'recurrence.endedAt': null, deletedWith: null } },
+    { $sort: { occurrence: -1 } },
+    { $group: { _id: '$seriesId', taskId: { $first: '$_id' } } }
+  ]).option({ withDeleted: true });
+
+  const horizon = new Date(now.getTime() + LEAD_DAYS * 24 * 60 * 60 * 1000);
+  const created = [];
+
+  for (const { taskId } of latest) {
+    const task = await Task.findById(taskId).setOptions({ withDeleted: true });
+    const deadline = task && computeNextDeadline(task);
+    if (!deadline || deadline > horizon) continue;
+
+    const occurrence = await generateNextOccurrence(task);
+    if (occurrence) created.push(occurrence);
+  }
+
+  return created;
+};
+
+module.exports = { normalizeRecurrence, computeNextDeadline, generateNextOccurrence, generateDueOccurrences };
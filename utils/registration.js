@@ -0,0 +1,34 @@
+const { notify } = require('./notifications');
+
+// How clients get an account, set with REGISTRATION_MODE:
+//   open        - anyone can register and use the portal straight away
+//   approval    - anyone can register, but an admin must approve the account first
+//   invite_only - clients join through an invitation from staff
+//   off         - no self-service accounts; staff create clients directly
+const REGISTRATION_MODES = ['open', 'approval', 'invite_only', 'off'];
+
+const getRegistrationMode = () => {
+  const mode = process.env.REGISTRATION_MODE || 'open';
+  return REGISTRATION_MODES.includes(mode) ? mode : 'off';
+};
+
+const invitationLink = (token) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/invitations/${token}`;
+
+// Send the invite link to every address on the invitation. The invitee has no
+// account or preferences yet, so the channels are chosen from what was given.
+const sendInvitation = async (invitation, token, invitedBy) => {
+  const channels = [invitation.email && 'email', invitation.phone && 'whatsapp'].filter(Boolean);
+  const recipient = { name: invitation.name, email: invitation.email, phone: invitation.phone };
+
+  await notify('client.invited', [recipient], {
+    name: invitation.name,
+    invitedBy: invitedBy.name,
+    link: invitationLink(token),
+    expiresAt: invitation.expiresAt
+  }, { type: 'Invitation', id: invitation._id }, { channels, secrets: ['link'] });
+
+  invitation.sentAt = new Date();
+  await invitation.save();
+};
+
+module.exports = { REGISTRATION_MODES, getRegistrationMode, sendInvitation };
@@ -0,0 +1,165 @@
+const Task = require('../models/Task');
+const { notify } = require('./notifications');
+const { findResponsibleStaff } = require('./access');
+const { COMPLETED_STATUS } = require('./workflow');
+const { OPEN_REQUEST_STATUSES } = require('./documentRequests');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before the deadline at which clients are reminded, e.g. REMINDER_OFFSETS_DAYS=7,3,1
+const getReminderOffsets = () => {
+  const offsets = (process.env.REMINDER_OFFSETS_DAYS || '7,3,1')
+    .split(',')
+    .map((offset) => Number(offset.trim()))
+    .filter((offset) => Number.isFinite(offset) && offset > 0);
+  return [...new Set(offsets)].sort((a, b) => a - b);
+};
+
+// Days a task may stay overdue before staff are alerted
+const getEscalationDelayDays = () => Number(process.env.OVERDUE_ESCALATION_DELAY_DAYS) || 0;
+
+// Send one reminder per task for the closest offset reached. Each reminder is
+// claimed with a conditional update before sending, so concurrent or repeated
+// runs never send the same reminder twice.
+const sendDeadlineReminders = async (now) => {
+  const offsets = getReminderOffsets();
+  if (offsets.length === 0) return 0;
+
+  const horizon = new Date(now.getTime() + offsets[offsets.length - 1] * DAY_MS);
+  const tasks = await Task.find({
+    status: { $ne: COMPLETED_STATUS },
+    overdue: { $ne: true },
+    deadline: { $gt: now, $lte: horizon }
+  }).populate('client', '-password');
+
+  let sent = 0;
+  for (const task of tasks) {
+    const daysLeft = (task.deadline.getTime() - now.getTime()) / DAY_MS;
+    const offset = offsets.find((candidate) => daysLeft <= candidate);
+
+    const claim = await Task.updateOne(
+      { _id: task._id, remindersSent: { $not: { $elemMatch: { offsetDays: { $lte: offset } } } } },
+      { $push: { remindersSent: { offsetDays: offset, sentAt: now } } }
+    );
+    if (claim.modifiedCount === 0 || !task.client) continue;
+
+    await notify('task.reminder', [task.client], {
+      title: task.title,
+      deadline: task.deadline,
+      daysLeft: Math.ceil(daysLeft)
+    }, { type: 'Task', id: task._id });
+    sent++;
+  }
+
+  return sent;
+};
+
+// Flag tasks whose deadline has passed and tell the client
+const markOverdueTasks = async (now) => {
+  const tasks = await Task.find({
+    status: { $ne: COMPLETED_STATUS },
+    overdue: { $ne: true },
+    deadline: { $lte: now }
+  }).populate('client', '-password');
+
+  let marked = 0;
+  for (const task of tasks) {
+    const claim = await Task.updateOne(
+      { _id: task._id, overdue: { $ne: true } },
+      { $set: { overdue: true, overdueSince: now } }
+    );
+    if (claim.modifiedCount === 0) continue;
+    marked++;
+
+    await notify('task.overdue', [task.client], {
+      title: task.title,
+      deadline: task.deadline
+    }, { type: 'Task', id: task._id });
+  }
+
+  return marked;
+};
+
+// Alert the responsible staff about tasks that have been overdue long enough
+const escalateOverdueTasks = async (now) => {
+  const cutoff = new Date(now.getTime() - getEscalationDelayDays() * DAY_MS);
+  const tasks = await Task.find({
+    status: { $ne: COMPLETED_STATUS },
+    overdue: true,
+    escalatedAt: null,
+    overdueSince: { $lte: cutoff }
+  }).populate('client', 'name');
+
+  let escalated = 0;
+  for (const task of tasks) {
+    const claim = await Task.updateOne(
+      { _id: task._id, escalatedAt: null },
+      { $set: { escalatedAt: now } }
+    );
+    if (claim.modifiedCount === 0) continue;
+    escalated++;
+
+    const staff = await findResponsibleStaff(task);
+    await notify('task.escalated', staff, {
+      title: task.title,
+      clientName: task.client ? task.client.name : 'unknown client',
+      deadline: task.deadline
+    }, { type: 'Task', id: task._id });
+  }
+
+  return escalated;
+};
+
+// Remind clients of requested documents they haven't sent, at the same offsets as
+// deadline reminders and once more when a request becomes overdue. Requests are
+// claimed one by one, then the client gets one message per task.
+const sendDocumentRequestReminders = async (now) => {
+  const offsets = [0, ...getReminderOffsets()];
+  const horizon = new Date(now.getTime() + offsets[offsets.length - 1] * DAY_MS);
+  const tasks = await Task.find({
+    status: { $ne: COMPLETED_STATUS },
+    documentRequests: { $elemMatch: { status: { $in: OPEN_REQUEST_STATUSES }, dueDate: { $lte: horizon } } }
+  }).populate('client', '-password');
+
+  let sent = 0;
+  for (const task of tasks) {
+    const due = [];
+    for (const request of task.documentRequests) {
+      if (!OPEN_REQUEST_STATUSES.includes(request.status) || !request.dueDate || request.dueDate > horizon) continue;
+
+      const daysLeft = Math.max((request.dueDate.getTime() - now.getTime()) / DAY_MS, 0);
+      const offset = offsets.find((candidate) => daysLeft <= candidate);
+
+      const claim = await Task.updateOne(
+        {
+          _id: task._id,
+          documentRequests: {
+            $elemMatch: { _id: request._id, remindersSent: { $not: { $elemMatch: { offsetDays: { $lte: offset } } } } }
+          }
+        },
+        { $push: { 'documentRequests.$.remindersSent': { offsetDays: offset, sentAt: now } } }
+      );
+      if (claim.modifiedCount > 0) due.push(request);
+    }
+    if (due.length === 0 || !task.client) continue;
+
+    await notify('document_request.reminder', [task.client], {
+      title: task.title,
+      items: due.map((request) => request.name).join(', ')
+    }, { type: 'Task', id: task._id });
+    sent++;
+  }
+
+  return sent;
+};
+
+// Scheduler entry point, safe to run as often as needed
+const runDeadlineReminders = async (now = new Date()) => {
+  const reminders = await sendDeadlineReminders(now);
+  const overdue = await markOverdueTasks(now);
+  const escalations = await escalateOverdueTasks(now);
+  const documentRequests = await sendDocumentRequestReminders(now);
+  return { reminders, overdue, escalations, documentRequests };
+};
+
+module.exports = { runDeadlineReminders, getReminderOffsets };
@@ -0,0 +1,293 @@
+const Task = require('../models/Task');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const Workflow = require('../models/Workflow');
+const { COMPLETED_STATUS } = require('./workflow');
+
+// Aggregations behind /api/reports. Each report takes `scope`, a match condition on
+// the client field (access scoping and the client filter), and returns
+// { columns, rows } plus any summary values; rows are flat so they export to CSV.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 1) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+
+// Match condition for a date field between optional from/to
+const dateRange = (field, from, to) => {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return Object.keys(range).length > 0 ? { [field]: range } : {};
+};
+
+// Add clientName to rows keyed by clientId
+const withClientNames = async (rows) => {
+  const clients = await User.find({ _id: { $in: rows.map((row) => row.clientId) } })
+    .select('name')
+    .setOptions({ withDeleted: true });
+  const names = new Map(clients.map((client) => [client._id.toString(), client.name]));
+  return rows.map((row) => ({ clientId: row.clientId, clientName: names.get(String(row.clientId)) || null, ...row }));
+};
+
+const CLIENT_COLUMNS = [
+  { key: 'clientId', label: 'Client ID' },
+  { key: 'clientName', label: 'Client' }
+];
+
+// Task counts per client and status, for tasks created in the range
+const tasksByStatus = async ({ scope, from, to }) => {
+  const groups = await Task.aggregate([
+    { $match: { $and: [scope, dateRange('createdAt', from, to)] } },
+    { $group: { _id: { client: '$client', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const { statuses } = await Workflow.getWorkflow();
+  const keys = statuses.map((status) => status.key);
+  groups.forEach(({ _id }) => {
+    if (!keys.includes(_id.status)) keys.push(_id.status);
+  });
+
+  const byClient = new Map();
+  groups.forEach(({ _id, count }) => {
+    const id = _id.client.toString();
+    if (!byClient.has(id)) {
+      byClient.set(id, { clientId: _id.client, ...Object.fromEntries(keys.map((key) => [key, 0])), total: 0 });
+    }
+    const row = byClient.get(id);
+    row[_id.status] += count;
+    row.total += count;
+  });
+
+  const rows = (await withClientNames([...byClient.values()])).sort((a, b) => b.total - a.total);
+  return {
+    columns: [...CLIENT_COLUMNS, ...keys.map((key) => ({ key })), { key: 'total', label: 'Total' }],
+    rows
+  };
+};
+
+// Open tasks past their deadline per client; the range applies to the deadline
+const overdueTasks = async ({ scope, from, to, now = new Date() }) => {
+  const groups = await Task.aggregate([
+    {
+      $match: {
+        $and: [scope, dateRange('deadline', from, to), { status: { $ne: COMPLETED_STATUS }, deadline: { $lt: now } }]
+      }
+    },
+    {
+      $group: {
+        _id: '$client',
+        overdue: { $sum: 1 },
+        oldestDeadline: { $min: '$deadline' },
+        averageDaysOverdue: { $avg: { $divide: [{ $subtract: [now, '$deadline'] }, DAY_MS] } }
+      }
+    },
+    { $sort: { overdue: -1 } }
+  ]);
+
+  const rows = await withClientNames(groups.map((group) => ({
+    clientId: group._id,
+    overdue: group.overdue,
+    oldestDeadline: group.oldestDeadline,
+    averageDaysOverdue: round(group.averageDaysOverdue)
+  })));
+
+  return {
+    columns: [
+      ...CLIENT_COLUMNS,
+      { key: 'overdue', label: 'Overdue tasks' },
+      { key: 'oldestDeadline', label: 'Oldest deadline' },
+      { key: 'averageDaysOverdue', label: 'Average days overdue' }
+    ],
+    rows,
+    total: rows.reduce((sum, row) => sum + row.overdue, 0)
+  };
+};
+
+// Time from creation to completion and share completed by the deadline, per client,
+// for tasks completed in the range. Completion times come from the status history.
+const completionTimes = async ({ scope, from, to }) => {
+  const groups = await Task.aggregate([
+    { $match: { $and: [scope, { status: COMPLETED_STATUS, 'statusHistory.to': COMPLETED_STATUS }] } },
+    {
+      $addFields: {
+        completedAt: {
+          $max: {
+            $map: {
+              input: { $filter: { input: '$statusHistory', cond: { $eq: ['$$this.to', COMPLETED_STATUS] } } },
+              in: '$$this.changedAt'
+            }
+          }
+        }
+      }
+    },
+    { $match: dateRange('completedAt', from, to) },
+    {
+      $group: {
+        _id: '$client',
+        completed: { $sum: 1 },
+        averageDays: { $avg: { $divide: [{ $subtract: ['$completedAt', '$createdAt'] }, DAY_MS] } },
+        maxDays: { $max: { $divide: [{ $subtract: ['$completedAt', '$createdAt'] }, DAY_MS] } },
+        onTime: { $sum: { $cond: [{ $lte: ['$completedAt', '$deadline'] }, 1, 0] } }
+      }
+    },
+    { $sort: { completed: -1 } }
+  ]);
+
+  const rows = await withClientNames(groups.map((group) => ({
+    clientId: group._id,
+    completed: group.completed,
+    averageDays: round(group.averageDays),
+    maxDays: round(group.maxDays),
+    onTime: group.onTime,
+    late: group.completed - group.onTime,
+    onTimePercent: round((group.onTime / group.completed) * 100)
+  })));
+
+  const completed = rows.reduce((sum, row) => sum + row.completed, 0);
+  const onTime = rows.reduce((sum, row) => sum + row.onTime, 0);
+  return {
+    columns: [
+      ...CLIENT_COLUMNS,
+      { key: 'completed', label: 'Completed' },
+      { key: 'averageDays', label: 'Average days to complete' },
+      { key: 'maxDays', label: 'Longest days to complete' },
+      { key: 'onTime', label: 'On time' },
+      { key: 'late', label: 'Late' },
+      { key: 'onTimePercent', label: 'On time %' }
+    ],
+    rows,
+    summary: {
+      completed,
+      onTime,
+      onTimePercent: completed > 0 ? round((onTime / completed) * 100) : null,
+      averageDays: completed > 0 ? round(rows.reduce((sum, row) => sum + row.averageDays * row.completed, 0) / completed) : null
+    }
+  };
+};
+
+// Open tasks due in each of the coming weeks (weeks start on Monday, UTC)
+const upcomingDeadlines = async ({ scope, weeks, now = new Date() }) => {
+  const until = new Date(now.getTime() + weeks * 7 * DAY_MS);
+  const groups = await Task.aggregate([
+    { $match: { $and: [scope, { status: { $ne: COMPLETED_STATUS }, deadline: { $gte: now, $lt: until } }] } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$deadline', unit: 'week', startOfWeek: 'monday' } },
+        tasks: { $sum: 1 },
+        urgent: { $sum: { $cond: [{ $in: ['$priority', ['high', 'urgent']] }, 1, 0] } },
+        clients: { $addToSet: '$client' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return {
+    columns: [
+      { key: 'weekStart', label: 'Week starting' },
+      { key: 'tasks', label: 'Tasks due' },
+      { key: 'urgent', label: 'High or urgent' },
+      { key: 'clients', label: 'Clients' }
+    ],
+    rows: groups.map((group) => ({
+      weekStart: group._id,
+      tasks: group.tasks,
+      urgent: group.urgent,
+      clients: group.clients.length
+    }))
+  };
+};
+
+// Uploaded files as [{ createdAt, size, storageKey, restoredFrom }], with documents
+// from before versioning counted as one upload
+const UPLOADS_STAGE = {
+  $addFields: {
+    uploads: {
+      $cond: [
+        { $gt: [{ $size: { $ifNull: ['$versions', []] } }, 0] },
+        '$versions',
+        [{ createdAt: '$createdAt', size: '$size', storageKey: '$storageKey' }]
+      ]
+    }
+  }
+};
+
+// Uploads and bytes received per day, week or month, deleted documents included
+const documentUploads = async ({ scope, from, to, interval }) => {
+  const groups = await Document.aggregate([
+    { $match: scope },
+    UPLOADS_STAGE,
+    { $unwind: '$uploads' },
+    // Restoring an old version stores nothing new
+    { $match: { $and: [{ 'uploads.restoredFrom': null }, dateRange('uploads.createdAt', from, to)] } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$uploads.createdAt', unit: interval, ...(interval === 'week' ? { startOfWeek: 'monday' } : {}) } },
+        uploads: { $sum: 1 },
+        bytes: { $sum: { $ifNull: ['$uploads.size', 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]).option({ withDeleted: true });
+
+  return {
+    columns: [
+      { key: 'periodStart', label: `${interval[0].toUpperCase()}${interval.slice(1)} starting` },
+      { key: 'uploads', label: 'Uploads' },
+      { key: 'bytes', label: 'Bytes' }
+    ],
+    rows: groups.map((group) => ({ periodStart: group._id, uploads: group.uploads, bytes: group.bytes }))
+  };
+};
+
+// Bytes held in storage per client, counting each stored file once. Files of documents
+// in the trash are still stored until they are purged.
+const storageByClient = async ({ scope }) => {
+  const groups = await Document.aggregate([
+    { $match: scope },
+    UPLOADS_STAGE,
+    { $unwind: '$uploads' },
+    {
+      $group: {
+        _id: { client: '$client', file: { $ifNull: ['$uploads.storageKey', '$_id'] } },
+        size: { $max: { $ifNull: ['$uploads.size', 0] } },
+        active: { $max: { $cond: [{ $eq: [{ $ifNull: ['$deletedAt', null] }, null] }, 1, 0] } }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.client',
+        files: { $sum: 1 },
+        bytes: { $sum: '$size' },
+        trashBytes: { $sum: { $cond: [{ $eq: ['$active', 0] }, '$size', 0] } }
+      }
+    },
+    { $sort: { bytes: -1 } }
+  ]).option({ withDeleted: true });
+
+  const rows = await withClientNames(groups.map((group) => ({
+    clientId: group._id,
+    files: group.files,
+    bytes: group.bytes,
+    trashBytes: group.trashBytes
+  })));
+
+  return {
+    columns: [
+      ...CLIENT_COLUMNS,
+      { key: 'files', label: 'Files' },
+      { key: 'bytes', label: 'Bytes' },
+      { key: 'trashBytes', label: 'Bytes in trash' }
+    ],
+    rows,
+    totalBytes: rows.reduce((sum, row) => sum + row.bytes, 0)
+  };
+};
+
+module.exports = {
+  tasksByStatus,
+  overdueTasks,
+  completionTimes,
+  upcomingDeadlines,
+  documentUploads,
+  storageByClient
+};
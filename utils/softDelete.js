@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Operations that hide soft-deleted records unless asked not to
+const FILTERED_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'updateOne', 'updateMany'];
+
+// Whether a filter already says which deletion state it wants (e.g. the trash view)
+const mentionsDeletedAt = (filter) => {
+  if (!filter || typeof filter !== 'object') return false;
+  if (Object.prototype.hasOwnProperty.call(filter, 'deletedAt')) return true;
+  return ['$and', '$or', '$nor'].some((operator) => {
+    return Array.isArray(filter[operator]) && filter[operator].some(mentionsDeletedAt);
+  });
+};
+
+// Schema plugin for soft deletion. Deleted records keep their data but are left
+// out of queries and aggregations, unless the filter mentions deletedAt or the
+// query is run with { withDeleted: true }, e.g. Task.find().setOptions({ withDeleted: true }).
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // The client whose deletion archived this record, so they are restored together
+    deletedWith: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  schema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+  schema.pre(FILTERED_QUERIES, function() {
+    if (this.options.withDeleted) {
+      delete this.options.withDeleted;
+      return;
+    }
+    if (!mentionsDeletedAt(this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) {
+      delete this.options.withDeleted;
+      return;
+    }
+    const [first] = this.pipeline();
+    if (!first || !first.$match || !mentionsDeletedAt(first.$match)) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  schema.methods.isDeleted = function() {
+    return Boolean(this.deletedAt);
+  };
+};
+
+module.exports = softDelete;
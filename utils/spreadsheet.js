@@ -0,0 +1,97 @@
+const ExcelJS = require('exceljs');
+const { parseCsv, sendCsv } = require('./csv');
+const { contentDisposition } = require('./files');
+const { BadRequestError, UnprocessableError } = require('./errors');
+
+// Most data rows read from one import file
+const getImportMaxRows = () => Number(process.env.IMPORT_MAX_ROWS) || 1000;
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Headers are matched loosely: "Company Name", "company_name" and "companyName" are the same
+const normalizeHeader = (header) => String(header).trim().toLowerCase().replace(/[\s_-]+/g, '');
+
+// Plain text of an ExcelJS cell value (rich text, hyperlinks, formulas and dates included)
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map((part) => part.text).join('');
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value);
+};
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new BadRequestError('The file is not a readable XLSX workbook', 'INVALID_IMPORT_FILE');
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    for (let column = 1; column <= row.cellCount; column += 1) {
+      cells.push(cellText(row.getCell(column).value));
+    }
+    rows.push(cells);
+  });
+  return rows;
+};
+
+// Read the first sheet of an uploaded CSV or XLSX file (from middleware/importUpload)
+// into objects keyed by the keys of `fields`, a map of normalized header to key.
+// Each object carries `row`, its line number in the file, for error reports.
+const readImportFile = async (file, fields) => {
+  const isXlsx = file.buffer.subarray(0, 2).toString() === 'PK';
+  const rows = isXlsx ? await readXlsx(file.buffer) : parseCsv(file.buffer.toString('utf8'));
+
+  if (rows.length < 2) {
+    throw new UnprocessableError('The file needs a header row and at least one data row', 'EMPTY_IMPORT');
+  }
+  if (rows.length - 1 > getImportMaxRows()) {
+    throw new UnprocessableError(`Import at most ${getImportMaxRows()} rows at a time`, 'IMPORT_TOO_LARGE');
+  }
+
+  const headers = rows[0].map((header) => fields[normalizeHeader(header)]);
+  return rows.slice(1).map((cells, index) => {
+    const record = { row: index + 2 };
+    headers.forEach((key, column) => {
+      const value = (cells[column] || '').trim();
+      if (key && value !== '') record[key] = value;
+    });
+    return record;
+  });
+};
+
+// Send rows as CSV or as an XLSX workbook; columns are { key, label } as for utils/csv.js
+const sendSpreadsheet = async (res, format, name, columns, rows) => {
+  if (format !== 'xlsx') {
+    return sendCsv(res, `${name}.csv`, columns, rows);
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(name);
+  sheet.columns = columns.map((column) => ({ header: column.label || column.key, key: column.key, width: 20 }));
+  rows.forEach((row) => {
+    sheet.addRow(Object.fromEntries(columns.map((column) => {
+      const value = column.key.split('.').reduce((current, part) => (current == null ? current : current[part]), row);
+      if (Array.isArray(value)) return [column.key, value.join(', ')];
+      // Ids and other objects are written as text
+      return [column.key, value !== null && typeof value === 'object' && !(value instanceof Date) ? String(value) : value];
+    })));
+  });
+
+  res.setHeader('Content-Type', XLSX_MIME_TYPE);
+  res.setHeader('Content-Disposition', contentDisposition(`${name}.xlsx`));
+  res.send(await workbook.xlsx.writeBuffer());
+};
+
+module.exports = { normalizeHeader, readImportFile, sendSpreadsheet };
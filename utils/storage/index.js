@@ -0,0 +1,52 @@
+const path = require('path');
+const crypto = require('crypto');
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+
+// Storage drivers, selected with STORAGE_DRIVER (local, s3).
+// Each driver exposes put(key, stream, options), get(key) -> readable stream and remove(key).
+const drivers = {
+  local: () => createLocalStorage({
+    root: process.env.STORAGE_LOCAL_PATH || path.join(__dirname, '..', '..', 'uploads')
+  }),
+  s3: () => createS3Storage({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION,
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  })
+};
+
+const instances = {};
+
+// Name of the driver new files are written to
+const getDriverName = () => process.env.STORAGE_DRIVER || 'local';
+
+// Active driver by default, or a specific one (e.g. the driver a document was stored with)
+const getStorage = (name = getDriverName()) => {
+  if (!instances[name]) {
+    const factory = drivers[name];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    instances[name] = factory();
+  }
+  return instances[name];
+};
+
+// Replace a storage driver, e.g. with an in-memory one in tests
+const setStorage = (customStorage, name = getDriverName()) => {
+  instances[name] = customStorage;
+};
+
+// Build a unique object key for a new upload, keeping the original extension
+const generateKey = (originalName, prefix = 'documents') => {
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  const extension = path.extname(originalName || '').toLowerCase();
+  return `${prefix}/${now.getUTCFullYear()}/${month}/${crypto.randomUUID()}${extension}`;
+};
+
+module.exports = { getStorage, setStorage, getDriverName, generateKey };
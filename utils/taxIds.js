@@ -0,0 +1,33 @@
+// Formats of Indian tax identifiers held on client profiles
+
+// PAN: five letters, four digits, a letter. The fourth letter is the holder type (P, C, F, ...)
+const PAN_PATTERN = /^[A-Z]{3}[ABCFGHLJPT][A-Z][0-9]{4}[A-Z]$/;
+
+// GSTIN: state code, the holder's PAN, entity number, 'Z' and a check character
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// TAN: four letters, five digits, a letter
+const TAN_PATTERN = /^[A-Z]{4}[0-9]{5}[A-Z]$/;
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Check character of the first 14 characters of a GSTIN (a Luhn mod 36 variant)
+const gstinCheckCharacter = (value) => {
+  let sum = 0;
+  for (let i = 0; i < 14; i += 1) {
+    const product = GSTIN_CHARSET.indexOf(value[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+};
+
+const isValidPan = (value) => PAN_PATTERN.test(value);
+
+const isValidGstin = (value) => GSTIN_PATTERN.test(value) && gstinCheckCharacter(value) === value[14];
+
+const isValidTan = (value) => TAN_PATTERN.test(value);
+
+// The PAN embedded in a GSTIN
+const panFromGstin = (gstin) => gstin.slice(2, 12);
+
+module.exports = { isValidPan, isValidGstin, isValidTan, panFromGstin };
@@ -0,0 +1,149 @@
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Document = require('../models/Document');
+const Comment = require('../models/Comment');
+const Session = require('../models/Session');
+const Notification = require('../models/Notification');
+const ClientProfile = require('../models/ClientProfile');
+const { getStorage } = require('./storage');
+const { relinkRequestDocument } = require('./documentRequests');
+const { recordAudit, snapshot } = require('./audit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a deleted record stays in the trash before it is purged for good
+const getRetentionDays = () => Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + getRetentionDays() * DAY_MS);
+
+const deletionFields = (user) => ({
+  deletedAt: new Date(),
+  deletedBy: user ? user._id : undefined
+});
+
+const CLEARED_DELETION = { deletedAt: null, deletedBy: undefined, deletedWith: undefined };
+
+// Move a task or document to the trash
+const softDeleteRecord = async (record, user) => {
+  record.set(deletionFields(user));
+  return record.save();
+};
+
+// Move a client to the trash along with their tasks and documents, and sign them out
+const softDeleteClient = async (client, user) => {
+  const fields = deletionFields(user);
+  client.set(fields);
+  await client.save();
+
+  const cascade = { $set: { ...fields, deletedWith: client._id } };
+  await Task.updateMany({ client: client._id, deletedAt: null }, cascade);
+  await Document.updateMany({ client: client._id, deletedAt: null }, cascade);
+  await Session.revokeAllForUser(client._id);
+  return client;
+};
+
+const restoreRecord = async (record) => {
+  record.set(CLEARED_DELETION);
+  return record.save();
+};
+
+// A restored document fulfils its document request again
+const restoreDocument = async (document) => {
+  await restoreRecord(document);
+  await relinkRequestDocument(document);
+  return document;
+};
+
+// Bring a client back with exactly the tasks and documents deleted along with them
+const restoreClient = async (client) => {
+  client.set(CLEARED_DELETION);
+  await client.save();
+
+  const restore = { $set: { deletedAt: null }, $unset: { deletedBy: 1, deletedWith: 1 } };
+  await Task.updateMany({ deletedWith: client._id, deletedAt: { $ne: null } }, restore);
+  await Document.updateMany({ deletedWith: client._id, deletedAt: { $ne: null } }, restore);
+  return client;
+};
+
+// Permanently remove a task and its comment thread
+const purgeTask = async (task) => {
+  await Comment.deleteMany({ task: task._id });
+  await Task.deleteOne({ _id: task._id });
+};
+
+// Permanently remove a document, its stored files and links to it from comments
+const purgeDocument = async (document) => {
+  await Document.deleteOne({ _id: document._id });
+  await Comment.updateMany({ attachments: document._id }, { $pull: { attachments: document._id } });
+
+  for (const file of document.getStoredFiles()) {
+    try {
+      await getStorage(file.storageDriver).remove(file.storageKey);
+    } catch (error) {
+      console.error('Failed to remove stored file:', error);
+    }
+  }
+};
+
+// Permanently remove a client with all of their tasks, documents and sessions
+const purgeClient = async (client) => {
+  const tasks = await Task.find({ client: client._id }).setOptions({ withDeleted: true });
+  for (const task of tasks) {
+    await purgeTask(task);
+  }
+
+  const documents = await Document.find({ client: client._id }).setOptions({ withDeleted: true });
+  for (const document of documents) {
+    await purgeDocument(document);
+  }
+
+  await Session.deleteMany({ user: client._id });
+  await Notification.deleteMany({ user: client._id });
+  await ClientProfile.deleteOne({ client: client._id });
+  await User.deleteOne({ _id: client._id });
+};
+
+// Scheduler entry point: purge everything deleted longer ago than the retention period.
+// Clients go first so their cascaded records are purged with them.
+const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - getRetentionDays() * DAY_MS);
+  const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+  const purged = { clients: 0, tasks: 0, documents: 0 };
+
+  const jobs = [
+    { type: 'clients', action: 'client.purge', entityType: 'User', Model: User, purge: purgeClient },
+    { type: 'tasks', action: 'task.purge', entityType: 'Task', Model: Task, purge: purgeTask },
+    { type: 'documents', action: 'document.purge', entityType: 'Document', Model: Document, purge: purgeDocument }
+  ];
+
+  for (const { type, action, entityType, Model, purge } of jobs) {
+    const records = await Model.find(expired);
+    for (const record of records) {
+      await purge(record);
+      await recordAudit(null, {
+        action,
+        entityType,
+        entityId: record._id,
+        before: snapshot(record),
+        metadata: { reason: 'retention', retentionDays: getRetentionDays() }
+      });
+      purged[type]++;
+    }
+  }
+
+  return purged;
+};
+
+module.exports = {
+  getRetentionDays,
+  purgeDate,
+  softDeleteRecord,
+  softDeleteClient,
+  restoreRecord,
+  restoreDocument,
+  restoreClient,
+  purgeTask,
+  purgeDocument,
+  purgeClient,
+  purgeExpiredTrash
+};
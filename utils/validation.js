@@ -0,0 +1,61 @@
+const Joi = require('joi');
+const { checkPassword } = require('./passwordPolicy');
+
+// Building blocks for the request schemas declared at the top of each route file
+
+const objectId = () => Joi.string().trim().pattern(/^[0-9a-fA-F]{24}$/, 'id')
+  .messages({ 'string.pattern.name': '{{#label}} must be a valid id' });
+
+// Comma-separated list of ids, as accepted by list filters
+const objectIdList = () => Joi.string().trim().pattern(/^[0-9a-fA-F]{24}(,\s*[0-9a-fA-F]{24})*$/, 'ids')
+  .messages({ 'string.pattern.name': '{{#label}} must be a comma-separated list of valid ids' });
+
+// Addresses are stored trimmed and lowercased so lookups are case-insensitive
+const email = () => Joi.string().trim().lowercase().email({ tlds: { allow: false } }).max(254);
+
+const password = () => Joi.string().min(1).max(128);
+
+// A password being set, checked against the policy in utils/passwordPolicy.js.
+// Sibling email and name fields, when present, are passed to the policy.
+const newPassword = () => Joi.string().max(128).custom((value, helpers) => {
+  const [body = {}] = helpers.state.ancestors;
+  const problems = checkPassword(value, { email: body.email, name: body.name });
+  return problems.length > 0 ? helpers.message(problems.join('; ')) : value;
+});
+
+const phone = () => Joi.string().trim().pattern(/^\+?[0-9 ()-]{7,20}$/, 'phone')
+  .messages({ 'string.pattern.name': '{{#label}} must be a valid phone number' });
+
+const name = () => Joi.string().trim().min(1).max(200);
+
+const idParams = Joi.object({ id: objectId().required() });
+
+// Query schema for an endpoint using utils/query.js, built from its list options.
+// `extra` adds endpoint-specific parameters.
+const listQuerySchema = ({ filters = {}, search = [], sort = [] }, extra = {}) => {
+  const keys = {
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+    cursor: Joi.string().max(500),
+    sort: Joi.string().valid(...sort.flatMap((field) => [field, `-${field}`]))
+  };
+
+  if (search.length > 0) {
+    keys.search = Joi.string().trim().max(200).allow('');
+  }
+
+  for (const [param, { type }] of Object.entries(filters)) {
+    if (type === 'dateRange') {
+      keys[`${param}From`] = Joi.date();
+      keys[`${param}To`] = Joi.date();
+    } else if (type === 'objectId') {
+      keys[param] = objectIdList().allow('');
+    } else {
+      keys[param] = Joi.string().trim().max(200).allow('');
+    }
+  }
+
+  return Joi.object({ ...keys, ...extra });
+};
+
+module.exports = { Joi, objectId, objectIdList, email, password, newPassword, phone, name, idParams, listQuerySchema };
@@ -0,0 +1,66 @@
+const net = require('net');
+
+const SCAN_TIMEOUT_MS = Number(process.env.VIRUS_SCAN_TIMEOUT_MS) || 30000;
+
+// Scan a stream with clamd's INSTREAM command over a unix socket or TCP
+const createClamdScanner = ({ socketPath, host, port }) => {
+  return (stream) => new Promise((resolve, reject) => {
+    const connection = socketPath ? net.createConnection(socketPath) : net.createConnection(port, host);
+    let reply = '';
+
+    connection.setTimeout(SCAN_TIMEOUT_MS, () => connection.destroy(new Error('Virus scan timed out')));
+    connection.on('data', (data) => { reply += data.toString(); });
+    connection.on('error', (error) => {
+      stream.resume();
+      reject(error);
+    });
+    connection.on('end', () => {
+      const result = reply.replace(/\0/g, '').trim();
+      if (result.endsWith('OK')) {
+        return resolve({ infected: false });
+      }
+      const found = result.match(/^stream: (.+) FOUND$/);
+      if (found) {
+        return resolve({ infected: true, viruses: [found[1]] });
+      }
+      reject(new Error(`Unexpected clamd reply: ${result}`));
+    });
+
+    connection.write('zINSTREAM\0');
+
+    // Each chunk is prefixed with its length; a zero-length chunk ends the stream
+    stream.on('data', (chunk) => {
+      const size = Buffer.alloc(4);
+      size.writeUInt32BE(chunk.length);
+      if (!connection.write(Buffer.concat([size, chunk]))) {
+        stream.pause();
+        connection.once('drain', () => stream.resume());
+      }
+    });
+    stream.on('end', () => connection.write(Buffer.alloc(4)));
+    stream.on('error', (error) => connection.destroy(error));
+  });
+};
+
+let scanner;
+
+// Active scanner, configured with CLAMD_SOCKET or CLAMD_HOST/CLAMD_PORT; null when scanning is off
+const getScanner = () => {
+  if (scanner === undefined) {
+    if (process.env.CLAMD_SOCKET) {
+      scanner = createClamdScanner({ socketPath: process.env.CLAMD_SOCKET });
+    } else if (process.env.CLAMD_HOST) {
+      scanner = createClamdScanner({ host: process.env.CLAMD_HOST, port: Number(process.env.CLAMD_PORT) || 3310 });
+    } else {
+      scanner = null;
+    }
+  }
+  return scanner;
+};
+
+// Plug in a custom scanner: (stream) => Promise<{ infected, viruses }>
+const setScanner = (customScanner) => {
+  scanner = customScanner;
+};
+
+module.exports = { getScanner, setScanner, createClamdScanner };
@@ -0,0 +1,97 @@
+const { CLIENT_ROLE, SUPER_ROLE } = require('./permissions');
+
+// Every workflow starts tasks in INITIAL_STATUS and finishes them in COMPLETED_STATUS;
+// completion stops reminders and queues the next occurrence of a recurring task.
+const INITIAL_STATUS = 'pending';
+const COMPLETED_STATUS = 'completed';
+
+const ALL_STAFF = '*';
+
+// Built-in task workflow, used until an admin saves their own at PUT /api/tasks/workflow.
+// A transition without `roles` is open to every staff role. Otherwise only the roles
+// listed may use it, with '*' standing for every staff role; clients only get the
+// transitions that name the client role.
+const DEFAULT_WORKFLOW = {
+  statuses: [
+    { key: 'pending', label: 'Pending' },
+    { key: 'awaiting_documents', label: 'Awaiting client documents' },
+    { key: 'in_progress', label: 'In progress' },
+    { key: 'in_review', label: 'In review' },
+    { key: 'filed', label: 'Filed' },
+    { key: 'completed', label: 'Completed' }
+  ],
+  transitions: [
+    { from: 'pending', to: 'awaiting_documents' },
+    { from: 'pending', to: 'in_progress' },
+    { from: 'awaiting_documents', to: 'in_progress', roles: [ALL_STAFF, CLIENT_ROLE] },
+    { from: 'in_progress', to: 'awaiting_documents' },
+    { from: 'in_progress', to: 'in_review' },
+    { from: 'in_review', to: 'in_progress' },
+    { from: 'in_review', to: 'filed' },
+    { from: 'in_review', to: 'completed' },
+    { from: 'filed', to: 'completed' },
+    { from: 'completed', to: 'in_progress' }
+  ]
+};
+
+// Problems with a workflow definition, as a list of messages
+const checkWorkflow = ({ statuses, transitions }) => {
+  const problems = [];
+  const keys = statuses.map((status) => status.key);
+
+  if (new Set(keys).size !== keys.length) {
+    problems.push('Status keys must be unique');
+  }
+  [INITIAL_STATUS, COMPLETED_STATUS].forEach((key) => {
+    if (!keys.includes(key)) {
+      problems.push(`The workflow must include the '${key}' status`);
+    }
+  });
+
+  const seen = new Set();
+  transitions.forEach(({ from, to }) => {
+    [from, to].filter((key) => !keys.includes(key)).forEach((key) => {
+      problems.push(`Transition ${from} -> ${to} uses unknown status '${key}'`);
+    });
+    if (from === to) {
+      problems.push(`Transition ${from} -> ${to} does not change the status`);
+    }
+    if (seen.has(`${from}:${to}`)) {
+      problems.push(`Transition ${from} -> ${to} is listed twice`);
+    }
+    seen.add(`${from}:${to}`);
+  });
+
+  return problems;
+};
+
+const isStatus = (workflow, key) => workflow.statuses.some((status) => status.key === key);
+
+const transitionAllowed = (transition, role) => {
+  const roles = transition.roles && transition.roles.length > 0 ? transition.roles : [ALL_STAFF];
+  return roles.includes(role) || (role !== CLIENT_ROLE && roles.includes(ALL_STAFF));
+};
+
+// Statuses a user with `role` may move a task to from `from`. The super role can
+// move a task to any status, e.g. to correct a mistake.
+const allowedTransitions = (workflow, from, role) => {
+  if (role === SUPER_ROLE) {
+    return workflow.statuses.map((status) => status.key).filter((key) => key !== from);
+  }
+  return workflow.transitions
+    .filter((transition) => transition.from === from && transitionAllowed(transition, role))
+    .map((transition) => transition.to);
+};
+
+const canTransition = (workflow, from, to, role) => allowedTransitions(workflow, from, role).includes(to);
+
+module.exports = {
+  INITIAL_STATUS,
+  COMPLETED_STATUS,
+  ALL_STAFF,
+  DEFAULT_WORKFLOW,
+  checkWorkflow,
+  isStatus,
+  allowedTransitions,
+  canTransition
+};